@@ -0,0 +1,243 @@
+/*
+This runs the bullet hell without a browser, for checking how the game plays
+out from a script. Run it with
+
+  node headless.js [ticks] [seed] [input.json] [difficulty] [shot type]
+
+to play the given number of simulation steps and print out where everything
+ended up. The input file is a replay saved from the game, whose seed,
+difficulty and shot type are used in place of the ones given; pass - for no
+input file.
+Without one, nothing is pressed and the first style bonus is always picked,
+without rerolling. It can also be imported to run the game from other scripts,
+like the tests in test/, which run with npm test.
+*/
+
+import {readFileSync} from "fs";
+import {fileURLToPath} from "url";
+import {dirname, join} from "path";
+import {Point} from "./js/point.js";
+import {Renderer} from "./js/renderers.js";
+import {parseGameData, validateReplay} from "./js/data.js";
+import {customStyleFor} from "./js/customstyles.js";
+import {
+  ROUND_STATE, REPLAY_MODE, TIMESTEP, DIFFICULTIES, playerStats, enemyStats, choosingBonus, player, enemy,
+  playerBullets, enemyBullets, roundState, enemyType, replay, setGameData, setView,
+  attachRenderer, step, startRun, resetGame, selectBonus, playReplayBonus, appliedStyles,
+  styleClasses, customStyles, runOptions, SHOT_TYPES, powerItems, powerLevel
+} from "./js/simulation.js";
+
+const GAME_DIR = dirname(fileURLToPath(import.meta.url));
+const PLAY_AREA_SIZE = new Point(400, 495);
+const PLAY_AREA_GROWN_WIDTH = 600;
+//how big style.css makes each sprite, since there's no page to measure them on
+const ENEMY_WIDTHS = {"enemy-skirmisher":12, "enemy-bulwark":24, "enemy-conductor":32};
+const ENEMY_SCALES = {"enemy-downgrade":1.5, "enemy-downgrade-2":2};
+const SPRITE_WIDTHS = {
+  "player-bullet-upgrade":32,
+  "player-bullet-upgrade-2":48,
+  "enemy-bullet-downgrade":12,
+  "enemy-bullet-downgrade-2":10,
+  "enemy-bullet-downgrade-3":8,
+  "power-item":12
+};
+const DEFAULT_SPRITE_WIDTH = 16;
+//which kind of sprite the player's own CSS styles, by the sprite's class
+const CUSTOM_STYLE_SPRITES = {
+  "enemy":"enemy",
+  "player-bullet":"playerBullet",
+  "enemy-bullet":"enemyBullet"
+};
+let loaded = false;
+
+class HeadlessRenderer extends Renderer {
+  /**
+  * Create a renderer that doesn't draw anything, it only knows how big
+  * sprites would be
+  */
+  constructor() {
+    super(null);
+  }
+
+  /**
+  * Work out how a sprite would be styled from its classes
+  * @param {string} src the sprite's image
+  * @param {list} classes the sprite's classes
+  * @returns {object} the sprite's size, opacity and filter
+  */
+  getAppearance(src, classes) {
+    let width = DEFAULT_SPRITE_WIDTH;
+    let scale = 1;
+    for(let i = 0; i < classes.length; i++) {
+      if(ENEMY_WIDTHS.hasOwnProperty(classes[i])) {
+        width = ENEMY_WIDTHS[classes[i]];
+      } else if(SPRITE_WIDTHS.hasOwnProperty(classes[i])) {
+        width = SPRITE_WIDTHS[classes[i]];
+      } else if(ENEMY_SCALES.hasOwnProperty(classes[i])) {
+        scale = ENEMY_SCALES[classes[i]];
+      }
+    }
+    let opacity = 1;
+    let kind = classes.find(name => CUSTOM_STYLE_SPRITES.hasOwnProperty(name));
+    if(classes.includes("custom-style") && kind !== undefined) {
+      let custom = customStyleFor(customStyles, CUSTOM_STYLE_SPRITES[kind]);
+      if(custom.size !== undefined && kind === "enemy") {
+        scale = custom.size;
+      } else if(custom.size !== undefined) {
+        width = DEFAULT_SPRITE_WIDTH * custom.size;
+      }
+      if(custom.opacity !== undefined) {
+        opacity = custom.opacity;
+      }
+    }
+    width *= scale;
+    return {size:new Point(width, width), opacity:opacity, filter:"none"};
+  }
+}
+
+/**
+* Load the data files and set the simulation up to run without a page. This
+* only needs to happen once.
+*/
+export function loadGame() {
+  if(loaded) {
+    return;
+  }
+  let attackData = JSON.parse(readFileSync(join(GAME_DIR, "data/attacks.json"), "utf8"));
+  let enemyData = JSON.parse(readFileSync(join(GAME_DIR, "data/enemies.json"), "utf8"));
+  setGameData(parseGameData(attackData, enemyData));
+  setView({
+    measurePlayArea:() => {
+      let size = PLAY_AREA_SIZE.copy();
+      let custom = customStyleFor(customStyles, "playArea");
+      if(custom !== null && custom.size !== undefined) {
+        size.x = PLAY_AREA_SIZE.x * custom.size;
+      } else if(styleClasses("playArea").includes("width-upgrade")) {
+        size.x = PLAY_AREA_GROWN_WIDTH;
+      }
+      return size;
+    },
+    replayFailed:message => {
+      throw new Error("couldn't finish the replay: " + message);
+    }
+  });
+  attachRenderer(new HeadlessRenderer());
+  loaded = true;
+}
+
+/**
+* Play a fresh run for a number of steps, or until the game is over
+* @param {number} ticks the most steps to play
+* @param {number} seed the seed for everything random that happens in the run
+* @param {list} events the input to play, in the same form as a replay's
+* @param {object} options the run's difficulty and assists, as startRun() takes them
+* @returns {object} where everything ended up, from report()
+*/
+export function run(ticks, seed, events, options) {
+  loadGame();
+  resetGame();
+  startRun(seed, REPLAY_MODE.play, events, options);
+  for(let i = 0; i < ticks; i++) {
+    if(roundState === ROUND_STATE.break) {
+      playReplayBonus();
+      if(choosingBonus) {
+        //the script didn't say, so take the first one
+        selectBonus(1);
+      }
+      if(roundState !== ROUND_STATE.play) {
+        break;
+      }
+    }
+    step(TIMESTEP);
+  }
+  return report();
+}
+
+/**
+* Keep stepping the run that's going on until something happens
+* @param {function} condition checks whether it's happened yet
+* @param {number} ticks the most steps to play
+* @param {function} eachStep called before every step, to script what happens
+* @returns {boolean} whether it happened in time
+*/
+export function stepUntil(condition, ticks, eachStep) {
+  for(let i = 0; i < ticks; i++) {
+    if(condition()) {
+      return true;
+    }
+    if(eachStep !== undefined) {
+      eachStep();
+    }
+    step(TIMESTEP);
+  }
+  return condition();
+}
+
+/**
+* Describe the current state of the game
+* @returns {object} the state of the player, the enemy, the bullets and the run
+*/
+export function report() {
+  return {
+    tick:replay.tick,
+    difficulty:runOptions.difficulty,
+    shotType:runOptions.shotType,
+    state:Object.keys(ROUND_STATE).find(key => ROUND_STATE[key] === roundState),
+    player:{
+      pos:player.pos,
+      lives:playerStats.lives,
+      score:playerStats.score,
+      rerolls:playerStats.rerolls,
+      combo:playerStats.combo,
+      grazes:playerStats.grazes,
+      bombs:playerStats.bombs,
+      power:playerStats.power,
+      powerLevel:powerLevel(),
+      invulnerable:playerStats.invulnTimer > 0
+    },
+    enemy:{
+      type:enemyType.name,
+      pos:enemy.pos,
+      level:enemyStats.level,
+      encounter:enemyStats.encounter + 1,
+      phase:enemyStats.phase + 1,
+      health:enemyStats.health
+    },
+    bullets:{player:playerBullets.length, enemy:enemyBullets.length},
+    powerItems:powerItems.length,
+    styles:appliedStyles().map(style => style.description)
+  };
+}
+
+/**
+* Run the game from the command line
+* @param {list} args the arguments after the script's name
+*/
+function main(args) {
+  let ticks = parseInt(args[0]) || 1200;
+  let seed = parseInt(args[1]) || 0;
+  let events = [];
+  let options = {difficulty:args[3] || "normal", shotType:args[4] || "spread"};
+  if(args[2] !== undefined && args[2] !== "-") {
+    let data = JSON.parse(readFileSync(args[2], "utf8"));
+    validateReplay(data);
+    seed = data.seed;
+    events = data.events;
+    options = {
+      difficulty:data.difficulty,
+      extraInvulnTime:data.extraInvulnTime,
+      shotType:data.shotType
+    };
+  }
+  if(!DIFFICULTIES.hasOwnProperty(options.difficulty)) {
+    throw new Error("unknown difficulty: " + options.difficulty);
+  }
+  if(!SHOT_TYPES.hasOwnProperty(options.shotType)) {
+    throw new Error("unknown shot type: " + options.shotType);
+  }
+  console.log(JSON.stringify(run(ticks, seed, events, options), null, 2));
+}
+
+if(process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
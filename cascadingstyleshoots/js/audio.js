@@ -0,0 +1,168 @@
+/*
+This makes the game's sound effects with the Web Audio API, and keeps track of
+how loud the music and sound effects should be. It is used by main.js
+*/
+
+import {loadJSON, saveJSON} from "./storage.js";
+
+const AUDIO_SETTINGS_KEY = "cascadingstyleshoots-audio";
+const DEFAULT_AUDIO_SETTINGS = {music:0.5, sfx:0.5, muted:false};
+/*
+Every sound is made up of tones, played from start seconds in for duration
+seconds, sliding from one frequency to another as they fade out. Nothing has to be
+loaded this way. A sound won't play again until throttle seconds after it last
+did, so that things happening every step don't turn into a drone.
+*/
+const SOUNDS = {
+  shoot:{throttle:0.15, tones:[
+    {wave:"square", from:880, to:440, start:0, duration:0.05, volume:0.08}
+  ]},
+  hit:{throttle:0.06, tones:[
+    {wave:"triangle", from:320, to:160, start:0, duration:0.06, volume:0.3}
+  ]},
+  death:{throttle:0.5, tones:[
+    {wave:"sawtooth", from:400, to:40, start:0, duration:0.6, volume:0.4},
+    {wave:"square", from:200, to:30, start:0.05, duration:0.5, volume:0.2}
+  ]},
+  graze:{throttle:0.05, tones:[
+    {wave:"sine", from:1400, to:1800, start:0, duration:0.05, volume:0.15}
+  ]},
+  roundEnd:{throttle:1, tones:[
+    {wave:"triangle", from:523, to:523, start:0, duration:0.15, volume:0.3},
+    {wave:"triangle", from:659, to:659, start:0.1, duration:0.15, volume:0.3},
+    {wave:"triangle", from:784, to:784, start:0.2, duration:0.15, volume:0.3},
+    {wave:"triangle", from:1047, to:1047, start:0.3, duration:0.4, volume:0.3}
+  ]},
+  bomb:{throttle:0.3, tones:[
+    {wave:"sawtooth", from:120, to:30, start:0, duration:0.5, volume:0.4}
+  ]}
+};
+let context = null;
+let sfxGain = null;
+let settings = Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+let lastPlayed = {};
+
+/**
+* Read the volume settings from local storage. Anything missing or unusable is
+* left at its default.
+* @returns {object} music and sfx, the volumes from 0 to 1, and whether
+* everything is muted
+*/
+export function loadAudioSettings() {
+  return loadJSON(AUDIO_SETTINGS_KEY, readAudioSettings,
+    Object.assign({}, DEFAULT_AUDIO_SETTINGS));
+}
+
+/**
+* Take the usable volume settings from what was saved
+* @param {object} saved the saved settings
+* @returns {object} the settings, or null if nothing usable was saved
+*/
+function readAudioSettings(saved) {
+  if(saved === null || typeof saved !== "object") {
+    return null;
+  }
+  let loaded = Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+  if(Number.isFinite(saved.music)) {
+    loaded.music = Math.min(Math.max(saved.music, 0), 1);
+  }
+  if(Number.isFinite(saved.sfx)) {
+    loaded.sfx = Math.min(Math.max(saved.sfx, 0), 1);
+  }
+  if(typeof saved.muted === "boolean") {
+    loaded.muted = saved.muted;
+  }
+  return loaded;
+}
+
+/**
+* Write the volume settings to local storage, if we are allowed to
+* @param {object} newSettings the settings to save
+*/
+export function saveAudioSettings(newSettings) {
+  saveJSON(AUDIO_SETTINGS_KEY, newSettings);
+}
+
+/**
+* Change how loud things are
+* @param {object} newSettings the music and sfx volumes, and whether
+* everything is muted
+*/
+export function setAudioSettings(newSettings) {
+  settings = Object.assign({}, newSettings);
+  if(sfxGain !== null) {
+    sfxGain.gain.value = volumeOf("sfx");
+  }
+}
+
+/**
+* Get how loud something should actually be, muting included
+* @param {string} kind either "music" or "sfx"
+* @returns {number} the volume, from 0 to 1
+*/
+export function volumeOf(kind) {
+  return settings.muted ? 0 : settings[kind];
+}
+
+/**
+* Get sound effects ready to play. Browsers only let sound start after the
+* player has done something on the page, so this should be called from an
+* input event.
+*/
+export function resumeAudio() {
+  if(context === null) {
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    if(!AudioContext) {
+      //no Web Audio, the game just plays without sound effects
+      return;
+    }
+    context = new AudioContext();
+    sfxGain = context.createGain();
+    sfxGain.gain.value = volumeOf("sfx");
+    sfxGain.connect(context.destination);
+  }
+  if(context.state === "suspended") {
+    context.resume();
+  }
+}
+
+/**
+* Play a sound effect, unless it's played too recently or sound isn't ready
+* @param {string} name which sound to play, from SOUNDS
+*/
+export function playSound(name) {
+  if(context === null || context.state !== "running" || volumeOf("sfx") === 0) {
+    return;
+  }
+  let sound = SOUNDS[name];
+  let now = context.currentTime;
+  if(lastPlayed[name] !== undefined && now - lastPlayed[name] < sound.throttle) {
+    return;
+  }
+  lastPlayed[name] = now;
+  for(let i = 0; i < sound.tones.length; i++) {
+    playTone(sound.tones[i], now);
+  }
+}
+
+/**
+* Play one tone of a sound
+* @param {object} tone the tone to play
+* @param {number} now the time the sound starts, by the audio context's clock
+*/
+function playTone(tone, now) {
+  let start = now + tone.start;
+  let end = start + tone.duration;
+  let oscillator = context.createOscillator();
+  oscillator.type = tone.wave;
+  oscillator.frequency.setValueAtTime(tone.from, start);
+  oscillator.frequency.exponentialRampToValueAtTime(tone.to, end);
+  let envelope = context.createGain();
+  envelope.gain.setValueAtTime(tone.volume, start);
+  //exponential ramps can't reach 0, so fade to near enough
+  envelope.gain.exponentialRampToValueAtTime(0.001, end);
+  oscillator.connect(envelope);
+  envelope.connect(sfxGain);
+  oscillator.start(start);
+  oscillator.stop(end);
+}
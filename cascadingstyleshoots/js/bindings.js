@@ -0,0 +1,134 @@
+/*
+These are the key bindings: which keys do what, and keeping them around
+between visits. It is used by main.js
+*/
+
+import {loadJSON, saveJSON} from "./storage.js";
+
+export const ACTIONS = [
+  {name:"up", label:"Move up"},
+  {name:"left", label:"Move left"},
+  {name:"down", label:"Move down"},
+  {name:"right", label:"Move right"},
+  {name:"focus", label:"Move slower"},
+  {name:"bomb", label:"Bomb"},
+  {name:"pause", label:"Pause"}
+];
+export const BINDING_SLOTS = 2;
+//not one of the bindings, it's for looking under the hood rather than playing
+export const DEBUG_KEY = "F3";
+const DEFAULT_BINDINGS = {
+  up:["KeyW", "ArrowUp"],
+  left:["KeyA", "ArrowLeft"],
+  down:["KeyS", "ArrowDown"],
+  right:["KeyD", "ArrowRight"],
+  focus:["Space", "ShiftLeft"],
+  bomb:["KeyX", "KeyK"],
+  pause:["Escape", "KeyP"]
+};
+const BINDINGS_KEY = "cascadingstyleshoots-bindings";
+
+/**
+* Get a fresh copy of the bindings the game starts out with
+* @returns {object} the lists of key codes for each action
+*/
+export function defaultBindings() {
+  let bindings = {};
+  for(let i = 0; i < ACTIONS.length; i++) {
+    bindings[ACTIONS[i].name] = DEFAULT_BINDINGS[ACTIONS[i].name].slice();
+  }
+  return bindings;
+}
+
+/**
+* Read the key bindings from local storage. Anything missing, unreadable or
+* malformed means the defaults get used instead. Actions added since the
+* bindings were saved get whichever of their default keys are still free.
+* @returns {object} the lists of key codes for each action
+*/
+export function loadBindings() {
+  return loadJSON(BINDINGS_KEY, saved => {
+    let bindings = addMissingActions(saved);
+    return isValidBindings(bindings) ? bindings : null;
+  }, defaultBindings());
+}
+
+/**
+* Write the key bindings to local storage, if we are allowed to
+* @param {object} bindings the bindings to save
+*/
+export function saveBindings(bindings) {
+  saveJSON(BINDINGS_KEY, bindings);
+}
+
+/**
+* Bind any actions saved bindings don't have yet to their default keys, as
+* long as nothing else is using them
+* @param {object} bindings the saved bindings
+* @returns {object} the bindings with every action in them, or what was given
+* if it isn't bindings at all
+*/
+function addMissingActions(bindings) {
+  if(bindings === null || typeof bindings !== "object") {
+    return bindings;
+  }
+  let used = Object.values(bindings).filter(Array.isArray).flat();
+  for(let i = 0; i < ACTIONS.length; i++) {
+    if(bindings[ACTIONS[i].name] === undefined) {
+      bindings[ACTIONS[i].name] = DEFAULT_BINDINGS[ACTIONS[i].name]
+        .filter(code => !used.includes(code));
+    }
+  }
+  return bindings;
+}
+
+/**
+* Check that saved bindings cover every action, with no key doing two things
+* and none of the keys the game keeps for itself
+* @param {object} bindings the bindings to check
+* @returns {boolean} whether the bindings are usable
+*/
+function isValidBindings(bindings) {
+  if(bindings === null || typeof bindings !== "object") {
+    return false;
+  }
+  let seen = [];
+  for(let i = 0; i < ACTIONS.length; i++) {
+    let codes = bindings[ACTIONS[i].name];
+    if(!Array.isArray(codes) || codes.length > BINDING_SLOTS
+      || !codes.every(code => typeof code === "string" && code !== DEBUG_KEY
+        && !seen.includes(code))) {
+      return false;
+    }
+    seen = seen.concat(codes);
+  }
+  return true;
+}
+
+/**
+* Find which action a key is bound to
+* @param {object} bindings the bindings to look through
+* @param {string} code the key code
+* @returns {string} the name of the action, or null if the key isn't bound
+*/
+export function findAction(bindings, code) {
+  for(let i = 0; i < ACTIONS.length; i++) {
+    if(bindings[ACTIONS[i].name].includes(code)) {
+      return ACTIONS[i].name;
+    }
+  }
+  return null;
+}
+
+/**
+* Get a short name for a key to show the player
+* @param {string} code the key code
+* @returns {string} the key's name
+*/
+export function describeKey(code) {
+  if(code === undefined) {
+    return "(none)";
+  }
+  return code.replace(/^(Key|Digit)/, "").replace(/^Arrow(\w+)/, "$1 Arrow")
+    .replace(/^(\w+?)(Left|Right)$/, "$1 ($2)");
+}
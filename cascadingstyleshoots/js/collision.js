@@ -0,0 +1,125 @@
+/*
+This is the grid collision checks use to find what might be touching something
+without looking at everything in the play area. It is used by simulation.js
+*/
+
+export class CollisionGrid {
+  /**
+  * Create an empty grid. It has to be fit over the play area before anything
+  * can go in it.
+  * @param {number} cellSize how wide and tall each cell is
+  */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.columns = 0;
+    this.rows = 0;
+    this.cells = [];
+    this.entities = [];
+  }
+
+  /**
+  * Fit the grid over a play area, emptying it
+  * @param {Point} size the dimensions of the play area
+  */
+  resize(size) {
+    this.columns = Math.max(1, Math.ceil(size.x / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(size.y / this.cellSize));
+    this.cells = [];
+    for(let i = 0; i < this.columns * this.rows; i++) {
+      this.cells.push([]);
+    }
+    this.entities = [];
+  }
+
+  /**
+  * Take everything out of the grid, keeping the cells to be filled again
+  */
+  clear() {
+    for(let i = 0; i < this.cells.length; i++) {
+      this.cells[i].length = 0;
+    }
+    this.entities.length = 0;
+  }
+
+  /**
+  * Put an entity in every cell a circle around it touches
+  * @param {Entity} entity the entity to add
+  * @param {Point} center the middle of the entity's circle
+  * @param {number} radius how far the entity can reach from its center
+  */
+  insert(entity, center, radius) {
+    let index = this.entities.length;
+    this.entities.push(entity);
+    this.forEachCell(center, radius, cell => cell.push(index));
+  }
+
+  /**
+  * Find everything that might be touching a circle. Anything in the same cells
+  * as the circle is a candidate, so they still need checking properly.
+  * @param {Point} center the middle of the circle
+  * @param {number} radius the radius of the circle
+  * @returns {list} the candidates, each once, in the order they were added
+  */
+  query(center, radius) {
+    let indices = [];
+    this.forEachCell(center, radius, cell => {
+      for(let i = 0; i < cell.length; i++) {
+        indices.push(cell[i]);
+      }
+    });
+    //entities that span cells get found more than once
+    indices.sort((a, b) => a - b);
+    let found = [];
+    for(let i = 0; i < indices.length; i++) {
+      if(i === 0 || indices[i] !== indices[i - 1]) {
+        found.push(this.entities[indices[i]]);
+      }
+    }
+    return found;
+  }
+
+  /**
+  * Call a function on every cell that a circle's bounding box touches. Anything
+  * hanging off the edge of the play area counts as being in the edge cells.
+  * @param {Point} center the middle of the circle
+  * @param {number} radius the radius of the circle
+  * @param {function} callback what to call on each cell's list of entities
+  */
+  forEachCell(center, radius, callback) {
+    let left = this.columnAt(center.x - radius);
+    let right = this.columnAt(center.x + radius);
+    let top = this.rowAt(center.y - radius);
+    let bottom = this.rowAt(center.y + radius);
+    for(let row = top; row <= bottom; row++) {
+      for(let column = left; column <= right; column++) {
+        callback(this.cells[row * this.columns + column]);
+      }
+    }
+  }
+
+  /**
+  * Get the column of cells an x coordinate is in
+  * @param {number} x the x coordinate
+  * @returns {number} the column, kept inside the grid
+  */
+  columnAt(x) {
+    return Math.min(Math.max(Math.floor(x / this.cellSize), 0), this.columns - 1);
+  }
+
+  /**
+  * Get the row of cells a y coordinate is in
+  * @param {number} y the y coordinate
+  * @returns {number} the row, kept inside the grid
+  */
+  rowAt(y) {
+    return Math.min(Math.max(Math.floor(y / this.cellSize), 0), this.rows - 1);
+  }
+
+  /**
+  * Count how many entities are in each cell, for seeing how crowded the grid is
+  * @returns {list} the number of entities in each cell, row by row
+  */
+  cellCounts() {
+    return this.cells.map(cell => cell.length);
+  }
+}
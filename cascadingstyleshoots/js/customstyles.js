@@ -0,0 +1,263 @@
+/*
+This reads the CSS players write for themselves. Nothing they type goes onto
+the page as is: only a few selectors and properties are understood, and the
+numbers read out of them are what gets written back. It is used by
+simulation.js, main.js and headless.js
+*/
+
+const MAX_LENGTH = 500;
+//how big a bullet is with no styles on it, from style.css
+const BULLET_WIDTH = 16;
+/*
+What each selector is allowed to change. Sizes and opacities are kept as
+fractions, and cost is how many points of budget going from 100% to 200%, or
+from fully opaque to invisible, would take. Changes that make the game harder
+cost less than nothing.
+*/
+const SELECTORS = {
+  "#enemy":{
+    sprite:"enemy",
+    properties:["width", "height", "opacity"],
+    size:{min:0.5, max:2, cost:10},
+    opacity:{min:0.2, cost:-5},
+    sizeRule:size => "#play-area .enemy.custom-style {--enemy-scale: " + size + ";}",
+    opacityRule:opacity => "#play-area .enemy.custom-style img {opacity: " + opacity + ";}"
+  },
+  ".enemy-bullet":{
+    sprite:"enemyBullet",
+    properties:["width", "height", "opacity"],
+    size:{min:0.5, max:2, cost:-20},
+    opacity:{min:0.2, cost:-10},
+    sizeRule:size => "#play-area .enemy-bullet.custom-style img {width: "
+      + BULLET_WIDTH * size + "px;}",
+    opacityRule:opacity => "#play-area .enemy-bullet.custom-style img {opacity: " + opacity + ";}"
+  },
+  ".player-bullet":{
+    sprite:"playerBullet",
+    properties:["width", "height", "opacity"],
+    size:{min:0.5, max:3, cost:5},
+    opacity:{min:0.2, cost:0},
+    sizeRule:size => "#play-area .player-bullet.custom-style img {width: "
+      + BULLET_WIDTH * size + "px;}",
+    opacityRule:opacity => "#play-area .player-bullet.custom-style img {opacity: " + opacity + ";}"
+  },
+  "#play-area":{
+    sprite:"playArea",
+    properties:["width"],
+    size:{min:0.75, max:1.5, cost:10},
+    //the play area takes up half of the game window to begin with
+    sizeRule:size => "#game-window #play-area.custom-style {width: " + 50 * size + "%;}"
+  }
+};
+const PERCENT = /^(\d+(\.\d+)?|\.\d+)%$/;
+const NUMBER = /^(\d+(\.\d+)?|\.\d+)$/;
+
+/**
+* Read the CSS a player wrote, making sure it only uses the selectors and
+* properties we understand, with values we allow
+* @param {string} text what the player wrote
+* @returns {object} what each selector sets, by selector: its size and opacity
+* as fractions, whichever were given
+*/
+export function parseCustomStyle(text) {
+  if(text.length > MAX_LENGTH) {
+    throw new Error("that's too long, keep it under " + MAX_LENGTH + " characters");
+  }
+  let rest = text.replace(/\/\*[\s\S]*?\*\//g, " ").trim();
+  if(rest === "") {
+    throw new Error("write a rule first, like .enemy-bullet {width: 75%;}");
+  }
+  let styles = {};
+  while(rest !== "") {
+    let match = rest.match(/^([^{}]+)\{([^{}]*)\}/);
+    if(match === null) {
+      throw new Error("couldn't read a rule from \"" + rest.slice(0, 20)
+        + "\", rules look like .enemy-bullet {width: 75%;}");
+    }
+    let selector = match[1].trim();
+    if(!SELECTORS.hasOwnProperty(selector)) {
+      throw new Error("can't style \"" + selector + "\", only "
+        + Object.keys(SELECTORS).join(", "));
+    }
+    styles[selector] = Object.assign(styles[selector] || {},
+      parseDeclarations(selector, match[2]));
+    rest = rest.slice(match[0].length).trim();
+  }
+  return styles;
+}
+
+/**
+* Read the declarations inside one rule
+* @param {string} selector the rule's selector
+* @param {string} block what's between the rule's braces
+* @returns {object} the size and opacity the rule sets, whichever it does
+*/
+function parseDeclarations(selector, block) {
+  let allowed = SELECTORS[selector];
+  let style = {};
+  let declarations = block.split(";");
+  for(let i = 0; i < declarations.length; i++) {
+    if(declarations[i].trim() === "") {
+      continue;
+    }
+    let match = declarations[i].match(/^\s*([a-zA-Z-]+)\s*:\s*(\S+)\s*$/);
+    if(match === null) {
+      throw new Error("couldn't read \"" + declarations[i].trim() + "\" in " + selector);
+    }
+    let property = match[1].toLowerCase();
+    if(!allowed.properties.includes(property)) {
+      throw new Error(selector + " can't have " + property + ", only "
+        + allowed.properties.join(", "));
+    }
+    if(property === "opacity") {
+      style.opacity = parseValue(match[2], NUMBER, 1, allowed.opacity.min, 1,
+        selector + " opacity");
+    } else {
+      let size = parseValue(match[2], PERCENT, 100, allowed.size.min, allowed.size.max,
+        selector + " " + property);
+      if(style.size !== undefined && style.size !== size) {
+        throw new Error(selector + " needs the same width and height, sprites are square");
+      }
+      style.size = size;
+    }
+  }
+  return style;
+}
+
+/**
+* Read a number out of a value, making sure it's in range
+* @param {string} value the value as written
+* @param {RegExp} pattern what the value has to look like
+* @param {number} divisor what to divide the number by, 100 for percentages
+* @param {number} min the smallest the result can be
+* @param {number} max the biggest the result can be
+* @param {string} name what the value is for, for error messages
+* @returns {number} the number
+*/
+function parseValue(value, pattern, divisor, min, max, name) {
+  if(!pattern.test(value)) {
+    throw new Error(name + " has to be a " + (divisor === 100 ? "percentage" : "number")
+      + ", not " + value);
+  }
+  let number = parseFloat(value) / divisor;
+  if(number < min || number > max) {
+    throw new Error(name + " has to be from " + min * divisor + " to " + max * divisor
+      + (divisor === 100 ? "%" : ""));
+  }
+  return number;
+}
+
+/**
+* Put new custom styles on top of old ones, the way later CSS rules win over
+* earlier ones
+* @param {object} styles the custom styles so far
+* @param {object} newStyles the custom styles to add
+* @returns {object} the combined styles, leaving the others untouched
+*/
+export function mergeCustomStyles(styles, newStyles) {
+  let merged = {};
+  let selectors = Object.keys(SELECTORS);
+  for(let i = 0; i < selectors.length; i++) {
+    if(styles[selectors[i]] || newStyles[selectors[i]]) {
+      merged[selectors[i]] = Object.assign({}, styles[selectors[i]], newStyles[selectors[i]]);
+    }
+  }
+  return merged;
+}
+
+/**
+* Work out how much of the budget a set of custom styles takes up altogether
+* @param {object} styles the custom styles
+* @returns {number} the cost, to two decimal places
+*/
+export function customStyleCost(styles) {
+  let cost = 0;
+  let selectors = Object.keys(styles);
+  for(let i = 0; i < selectors.length; i++) {
+    let style = styles[selectors[i]];
+    let allowed = SELECTORS[selectors[i]];
+    if(style.size !== undefined) {
+      cost += (style.size - 1) * allowed.size.cost;
+    }
+    if(style.opacity !== undefined) {
+      cost += (1 - style.opacity) * allowed.opacity.cost;
+    }
+  }
+  return Math.round(cost * 100) / 100;
+}
+
+/**
+* Work out how much of the budget putting new custom styles on top of old ones
+* would spend. Taking back changes that made the game easier costs points, and
+* taking back ones that made it harder gives them back.
+* @param {object} styles the custom styles so far
+* @param {object} newStyles the custom styles to add
+* @returns {number} the points it would spend, to two decimal places
+*/
+export function addedStyleCost(styles, newStyles) {
+  let merged = mergeCustomStyles(styles, newStyles);
+  return Math.round((customStyleCost(merged) - customStyleCost(styles)) * 100) / 100;
+}
+
+/**
+* Get what custom styles set for one kind of sprite
+* @param {object} styles the custom styles
+* @param {string} sprite the kind of sprite: enemy, playerBullet, enemyBullet or
+* playArea
+* @returns {object} the sprite's size and opacity, whichever are set, or null if
+* it isn't styled
+*/
+export function customStyleFor(styles, sprite) {
+  let selectors = Object.keys(styles);
+  for(let i = 0; i < selectors.length; i++) {
+    if(SELECTORS[selectors[i]].sprite === sprite) {
+      return styles[selectors[i]];
+    }
+  }
+  return null;
+}
+
+/**
+* Write custom styles back out the way the player would, to show them
+* @param {object} styles the custom styles
+* @returns {list} one rule for each selector that's styled
+*/
+export function describeCustomStyles(styles) {
+  let rules = [];
+  let selectors = Object.keys(styles);
+  for(let i = 0; i < selectors.length; i++) {
+    let style = styles[selectors[i]];
+    let declarations = [];
+    if(style.size !== undefined) {
+      let properties = SELECTORS[selectors[i]].properties.filter(p => p !== "opacity");
+      for(let j = 0; j < properties.length; j++) {
+        declarations.push(properties[j] + ": " + Math.round(style.size * 10000) / 100 + "%;");
+      }
+    }
+    if(style.opacity !== undefined) {
+      declarations.push("opacity: " + style.opacity + ";");
+    }
+    rules.push(selectors[i] + " {" + declarations.join(" ") + "}");
+  }
+  return rules;
+}
+
+/**
+* Turn custom styles into the style sheet that makes the page look like them
+* @param {object} styles the custom styles
+* @returns {string} the style sheet
+*/
+export function customStyleSheet(styles) {
+  let rules = [];
+  let selectors = Object.keys(styles);
+  for(let i = 0; i < selectors.length; i++) {
+    let style = styles[selectors[i]];
+    if(style.size !== undefined) {
+      rules.push(SELECTORS[selectors[i]].sizeRule(style.size));
+    }
+    if(style.opacity !== undefined) {
+      rules.push(SELECTORS[selectors[i]].opacityRule(style.opacity));
+    }
+  }
+  return rules.join("\n");
+}
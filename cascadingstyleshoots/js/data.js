@@ -0,0 +1,221 @@
+/*
+This checks the files the game gets its enemies, attacks and replays from, and
+gets them ready to use. It is used by main.js and headless.js
+*/
+
+import {Point} from "./point.js";
+import {BulletBehavior} from "./entities.js";
+import {parseCustomStyle, mergeCustomStyles, addedStyleCost} from "./customstyles.js";
+import {
+  EMITTERS, REPLAY_VERSION, DIFFICULTIES, MAX_EXTRA_INVULN_TIME, SHOT_TYPES, CUSTOM_STYLE_BUDGET
+} from "./simulation.js";
+
+const BEHAVIOR_ACTIONS = ["turn", "aim", "emit", "expire", "home", "spin", "wave", "spiral"];
+
+/**
+* Check the contents of the data files and turn them into what the simulation
+* needs
+* @param {object} attackData the parsed contents of the attacks file
+* @param {object} enemyData the parsed contents of the enemies file
+* @returns {object} the attacks, the bullet behaviors by name, the enemy types
+* by name and the levels
+*/
+export function parseGameData(attackData, enemyData) {
+  let attacks = validateAttacks(attackData);
+  let behaviors = {};
+  let names = Object.keys(attackData.behaviors || {});
+  for(let i = 0; i < names.length; i++) {
+    behaviors[names[i]] = new BulletBehavior(attackData.behaviors[names[i]]);
+  }
+  return {
+    attacks:attacks,
+    behaviors:behaviors,
+    enemies:validateEnemies(enemyData, attacks),
+    levels:enemyData.levels
+  };
+}
+
+/**
+* Check that the attack patterns we got are ones we can use
+* @param {object} data the parsed contents of the attacks file
+* @returns {list} the list of attacks
+*/
+function validateAttacks(data) {
+  if(!data || !Array.isArray(data.attacks) || data.attacks.length === 0) {
+    throw new Error("no attacks defined");
+  }
+  let behaviors = data.behaviors || {};
+  let names = Object.keys(behaviors);
+  for(let i = 0; i < names.length; i++) {
+    if(!Array.isArray(behaviors[names[i]])) {
+      throw new Error("behavior " + names[i] + " isn't a list of steps");
+    }
+    for(let j = 0; j < behaviors[names[i]].length; j++) {
+      let step = behaviors[names[i]][j];
+      if(!BEHAVIOR_ACTIONS.includes(step.action)) {
+        throw new Error("behavior " + names[i] + " has an unknown action: " + step.action);
+      }
+      if(step.emitter) {
+        validateEmitter(step.emitter, "behavior " + names[i], behaviors);
+      }
+    }
+  }
+  for(let i = 0; i < data.attacks.length; i++) {
+    let attack = data.attacks[i];
+    if(!Array.isArray(attack.emitters)) {
+      throw new Error("attack " + (attack.name || i) + " has no emitters");
+    }
+    for(let j = 0; j < attack.emitters.length; j++) {
+      validateEmitter(attack.emitters[j], "attack " + (attack.name || i), behaviors);
+    }
+  }
+  return data.attacks;
+}
+
+/**
+* Check that the enemies and levels we got are ones we can use, and look up
+* the attacks each enemy uses
+* @param {object} data the parsed contents of the enemies file
+* @param {list} attacks the attacks that have been loaded
+* @returns {object} the enemy types by name, each with a list of phases that
+* have the indices of their attacks
+*/
+function validateEnemies(data, attacks) {
+  if(!data || !data.enemies || !Array.isArray(data.levels) || data.levels.length === 0) {
+    throw new Error("no enemies or levels defined");
+  }
+  let attackNames = attacks.map(attack => attack.name);
+  let types = {};
+  let names = Object.keys(data.enemies);
+  for(let i = 0; i < names.length; i++) {
+    let type = data.enemies[names[i]];
+    if(typeof type.sprite !== "string" || type.health === undefined) {
+      throw new Error("enemy " + names[i] + " needs a sprite and health");
+    }
+    let phases = type.phases || [{threshold:1, attacks:type.attacks}];
+    if(!Array.isArray(phases) || phases.length === 0) {
+      throw new Error("enemy " + names[i] + " has no attacks");
+    }
+    types[names[i]] = Object.assign({}, type, {phases:[]});
+    if(type.hitbox !== undefined) {
+      types[names[i]].hitbox = validateHitbox(type.hitbox, "enemy " + names[i]);
+    }
+    for(let j = 0; j < phases.length; j++) {
+      if(!Array.isArray(phases[j].attacks) || phases[j].attacks.length === 0) {
+        throw new Error("enemy " + names[i] + " has a phase with no attacks");
+      }
+      if(j > 0 && !(phases[j].threshold < phases[j - 1].threshold)) {
+        throw new Error("enemy " + names[i] + " has phases out of order");
+      }
+      let indices = phases[j].attacks.map(name => attackNames.indexOf(name));
+      if(indices.includes(-1)) {
+        throw new Error("enemy " + names[i] + " uses an unknown attack");
+      }
+      types[names[i]].phases.push({threshold:phases[j].threshold, attacks:indices});
+    }
+  }
+  for(let i = 0; i < data.levels.length; i++) {
+    let encounters = data.levels[i].encounters;
+    if(!Array.isArray(encounters) || encounters.length === 0
+      || !encounters.every(name => types.hasOwnProperty(name))) {
+      throw new Error("level " + (i + 1) + " has missing or unknown enemies");
+    }
+  }
+  return types;
+}
+
+/**
+* Check that a hitbox has a size that makes sense, and turn it into what
+* entities take
+* @param {object} hitbox the hitbox's definition: its radius and offset as
+* fractions of the sprite's width, the offset being optional
+* @param {string} owner what the hitbox belongs to, for error messages
+* @returns {object} the hitbox
+*/
+function validateHitbox(hitbox, owner) {
+  let offset = hitbox.offset || {x:0, y:0};
+  if(!(hitbox.radius > 0) || !Number.isFinite(offset.x) || !Number.isFinite(offset.y)) {
+    throw new Error(owner + " needs a positive hitbox radius and a numeric offset");
+  }
+  return {radius:hitbox.radius, offset:new Point(offset.x, offset.y)};
+}
+
+/**
+* Check that an emitter is one we know how to fire
+* @param {object} emitter the emitter's definition
+* @param {string} owner what the emitter belongs to, for error messages
+* @param {object} behaviors the bullet behaviors that have been defined
+*/
+function validateEmitter(emitter, owner, behaviors) {
+  if(!EMITTERS.hasOwnProperty(emitter.type)) {
+    throw new Error(owner + " has an unknown emitter type: " + emitter.type);
+  }
+  if(emitter.behavior !== undefined && !behaviors.hasOwnProperty(emitter.behavior)) {
+    throw new Error(owner + " uses an unknown behavior: " + emitter.behavior);
+  }
+}
+
+/**
+* Check that a replay file is one we can play back
+* @param {object} data the parsed contents of the replay file
+*/
+export function validateReplay(data) {
+  if(!data || data.version !== REPLAY_VERSION) {
+    throw new Error("not a replay from this version of the game");
+  }
+  if(!Number.isInteger(data.seed) || !["dom", "canvas"].includes(data.renderer)
+    || !Array.isArray(data.events)) {
+    throw new Error("missing seed, renderer or events");
+  }
+  if(!DIFFICULTIES.hasOwnProperty(data.difficulty) || !Number.isFinite(data.extraInvulnTime)
+    || data.extraInvulnTime < 0 || data.extraInvulnTime > MAX_EXTRA_INVULN_TIME) {
+    throw new Error("missing difficulty or assists");
+  }
+  if(!SHOT_TYPES.hasOwnProperty(data.shotType)) {
+    throw new Error("missing or unknown shot type");
+  }
+  for(let i = 0; i < data.events.length; i++) {
+    let event = data.events[i];
+    if(!event || !Number.isInteger(event.tick)
+      || (!isKeys(event.keys) && ![1, 2].includes(event.bonus) && event.reroll !== true
+        && typeof event.css !== "string")
+      || (event.stick !== undefined
+        && !(Number.isFinite(event.stick.x) && Number.isFinite(event.stick.y)))) {
+      throw new Error("event " + i + " is malformed");
+    }
+  }
+  validateReplayStyles(data.events);
+}
+
+/**
+* Check if something from a replay could be the keys held down
+* @param {*} keys what the replay has for the keys
+* @returns {boolean} whether it's an object of keys
+*/
+function isKeys(keys) {
+  return typeof keys === "object" && keys !== null && !Array.isArray(keys);
+}
+
+/**
+* Check that the CSS written in a replay is CSS the game would have taken, each
+* within the budget of its round
+* @param {list} events the replay's events
+*/
+function validateReplayStyles(events) {
+  let styles = {};
+  for(let i = 0; i < events.length; i++) {
+    if(events[i].css === undefined) {
+      continue;
+    }
+    let newStyles = {};
+    try {
+      newStyles = parseCustomStyle(events[i].css);
+    } catch(e) {
+      throw new Error("event " + i + " has CSS the game wouldn't take: " + e.message);
+    }
+    if(addedStyleCost(styles, newStyles) > CUSTOM_STYLE_BUDGET) {
+      throw new Error("event " + i + " has CSS that's over the budget");
+    }
+    styles = mergeCustomStyles(styles, newStyles);
+  }
+}
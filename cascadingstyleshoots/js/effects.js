@@ -0,0 +1,131 @@
+/*
+These are the sparks, explosions and shaking that make things happening in the
+play area feel like they hit. None of it touches the simulation, so it uses
+Math.random instead of the seeded generator. It is used by main.js
+*/
+
+import {Point} from "./point.js";
+
+const MAX_PARTICLES = 600;
+//how much of the speed particles keep after a second, so they slow to a stop
+const PARTICLE_DRAG = 0.05;
+//with reduced motion, particles don't fly and there are fewer of them
+const REDUCED_PARTICLE_SHARE = 0.25;
+
+export class Effects {
+  /**
+  * Create an empty effects layer
+  */
+  constructor() {
+    this.particles = [];
+    this.rings = [];
+    this.shakeTimer = 0;
+    this.shakeDuration = 0;
+    this.shakeStrength = 0;
+    this.reducedMotion = false;
+  }
+
+  /**
+  * Throw out a burst of particles from a point
+  * @param {Point} center where the burst comes from
+  * @param {object} burst what the particles are like: count, how many there
+  * are, speed, how fast the fastest of them go, life, how many seconds they
+  * last, size, their radius, and colors, which they're picked from
+  */
+  burst(center, burst) {
+    let count = burst.count;
+    if(this.reducedMotion) {
+      count = Math.ceil(count * REDUCED_PARTICLE_SHARE);
+    }
+    count = Math.min(count, MAX_PARTICLES - this.particles.length);
+    for(let i = 0; i < count; i++) {
+      let angle = Math.random() * Math.PI * 2;
+      let speed = this.reducedMotion ? 0 : burst.speed * (0.25 + Math.random() * 0.75);
+      this.particles.push({
+        pos:center.copy(),
+        vel:new Point(Math.cos(angle), Math.sin(angle)).scale(speed),
+        age:0,
+        life:burst.life * (0.5 + Math.random() * 0.5),
+        size:burst.size,
+        color:burst.colors[Math.floor(Math.random() * burst.colors.length)]
+      });
+    }
+  }
+
+  /**
+  * Send a ring out from a point, growing until it reaches its full size
+  * @param {Point} center where the ring comes from
+  * @param {number} speed how fast the ring grows
+  * @param {number} radius how big the ring gets before it's gone
+  * @param {string} color the ring's color
+  */
+  ring(center, speed, radius, color) {
+    this.rings.push({center:center.copy(), radius:0, speed:speed, maxRadius:radius,
+      color:color});
+  }
+
+  /**
+  * Shake the play area, unless motion is reduced. A bigger shake takes over
+  * from a smaller one that's still going.
+  * @param {number} strength how many pixels the play area moves at most
+  * @param {number} duration how many seconds the shake lasts
+  */
+  shake(strength, duration) {
+    if(this.reducedMotion || strength < this.currentShake()) {
+      return;
+    }
+    this.shakeStrength = strength;
+    this.shakeDuration = duration;
+    this.shakeTimer = duration;
+  }
+
+  /**
+  * Move everything along
+  * @param {number} dt the amount of time passed since this was last called
+  */
+  update(dt) {
+    let drag = Math.pow(PARTICLE_DRAG, dt);
+    for(let i = 0; i < this.particles.length; i++) {
+      let particle = this.particles[i];
+      particle.age += dt;
+      particle.pos.add(particle.vel.copy().scale(dt));
+      particle.vel.scale(drag);
+    }
+    this.particles = this.particles.filter(particle => particle.age < particle.life);
+    for(let i = 0; i < this.rings.length; i++) {
+      this.rings[i].radius += this.rings[i].speed * dt;
+    }
+    this.rings = this.rings.filter(ring => ring.radius < ring.maxRadius);
+    this.shakeTimer = Math.max(this.shakeTimer - dt, 0);
+  }
+
+  /**
+  * Get how hard the play area is shaking right now, which eases off as the
+  * shake wears out
+  * @returns {number} how many pixels the play area can move at most
+  */
+  currentShake() {
+    if(this.shakeTimer <= 0) {
+      return 0;
+    }
+    return this.shakeStrength * this.shakeTimer / this.shakeDuration;
+  }
+
+  /**
+  * Pick where to move the play area to for this frame's shake
+  * @returns {Point} how far to move the play area
+  */
+  shakeOffset() {
+    let strength = this.currentShake();
+    return new Point((Math.random() * 2 - 1) * strength, (Math.random() * 2 - 1) * strength);
+  }
+
+  /**
+  * Get rid of every effect, for a fresh run
+  */
+  clear() {
+    this.particles = [];
+    this.rings = [];
+    this.shakeTimer = 0;
+  }
+}
@@ -0,0 +1,388 @@
+/*
+These are the things that live in the play area: entities, bullets, the scripts
+bullets follow and the pools they're kept in. They are used by simulation.js
+*/
+
+import {Point} from "./point.js";
+
+export class Entity {
+  /**
+  * Create something that lives in the play area. The entity's own position and
+  * size are what the game works with, the renderer only gets told about them
+  * when it's time to draw.
+  * @param {object} sprite the renderer's sprite to represent it on the screen
+  * @param {Point} pos the position of the top left corner of the entity's sprite
+  * @param {Point} size the dimensions of the entity's sprite
+  * @param {object} hitbox the circle the entity collides with: its radius, and
+  * offset, how far its center is from the middle of the sprite. Unless fixed is
+  * set, both are fractions of the sprite's width, so the hitbox grows and
+  * shrinks with the sprite. Fixed hitboxes are in pixels.
+  */
+  constructor(sprite, pos, size, hitbox) {
+    this.sprite = sprite;
+    this.pos = pos;
+    this.prevPos = pos.copy();
+    this.hitbox = hitbox;
+    this.resize(size);
+  }
+
+  /**
+  * Change the size of the entity, working out its hitbox again to match
+  * @param {Point} size the new dimensions of the entity's sprite
+  */
+  resize(size) {
+    this.size = size;
+    let scale = this.hitbox.fixed ? 1 : size.x;
+    this.radius = this.hitbox.radius * scale;
+    this.hitboxOffset = this.hitbox.offset.copy().scale(scale);
+  }
+
+  /**
+  * Get the point used as the center of the entity for collisions
+  * @returns {Point} the center of the entity's hitbox
+  */
+  getCenter() {
+    //the sprite hangs off the bottom right of its 0x0 stacker, which is at pos
+    return this.pos.copy().add(this.size.copy().scale(0.5)).add(this.hitboxOffset);
+  }
+
+  /**
+  * Put the entity somewhere without drawing it sliding there
+  * @param {Point} pos the new position
+  */
+  teleport(pos) {
+    this.pos = pos.copy();
+    this.prevPos = pos.copy();
+  }
+
+  /**
+  * Put the entity somewhere, with the middle of its sprite on the given point,
+  * without drawing it sliding there
+  * @param {Point} point where the middle of the sprite should go
+  */
+  centerOn(point) {
+    this.teleport(point.copy().subtract(this.size.copy().scale(0.5)));
+  }
+
+  /**
+  * Remember where the entity was before moving it in a simulation step
+  */
+  savePosition() {
+    this.prevPos = this.pos.copy();
+  }
+
+  /**
+  * Get where to draw the entity, somewhere between where it was last step and
+  * where it is now
+  * @param {number} alpha how far along we are to the next step, from 0 to 1
+  * @returns {Point} the position to draw at
+  */
+  getDrawPos(alpha) {
+    return this.pos.copy().subtract(this.prevPos).scale(alpha).add(this.prevPos);
+  }
+}
+
+export class Bullet extends Entity {
+  /**
+  * Create a bullet
+  * @param {object} sprite the renderer's sprite to represent it on the screen
+  * @param {Point} pos the position of the bullet
+  * @param {Point} size the dimensions of the bullet's sprite
+  * @param {object} hitbox the circle the bullet collides with
+  * @param {Point} vel the velocity of the bullet
+  * @param {Point} accel the acceleration of the bullet
+  * @param {BulletBehavior} behavior the script for the bullet to follow, or null
+  */
+  constructor(sprite, pos, size, hitbox, vel, accel, behavior) {
+    super(sprite, pos, size, hitbox);
+    this.vel = vel;
+    this.accel = accel;
+    this.alive = true;
+    this.grazed = false;
+    //how much health the bullet takes off of what it hits
+    this.damage = 1;
+    this.setBehavior(behavior);
+  }
+
+  /**
+  * Set up a used bullet to be fired again
+  * @param {Point} pos the position of the bullet
+  * @param {Point} size the dimensions of the bullet's sprite
+  * @param {Point} vel the velocity of the bullet
+  * @param {Point} accel the acceleration of the bullet
+  * @param {BulletBehavior} behavior the script for the bullet to follow, or null
+  */
+  reset(pos, size, vel, accel, behavior) {
+    this.teleport(pos);
+    this.resize(size);
+    this.vel = vel;
+    this.accel = accel;
+    this.alive = true;
+    this.grazed = false;
+    //how much health the bullet takes off of what it hits
+    this.damage = 1;
+    this.setBehavior(behavior);
+  }
+
+  /**
+  * Give the bullet a script to follow from the start
+  * @param {BulletBehavior} behavior the script for the bullet to follow, or null
+  */
+  setBehavior(behavior) {
+    this.behavior = behavior;
+    this.age = 0;
+    if(behavior !== null) {
+      behavior.start(this);
+    }
+  }
+
+  /**
+  * Update movement of bullet
+  * @param {number} dt the amount of time passed since this was last called
+  * @param {object} world what the bullet's behavior can see and do
+  */
+  updateKinematics(dt, world) {
+    this.savePosition();
+    let onPath = false;
+    if(this.behavior !== null) {
+      onPath = this.behavior.update(this, dt, world);
+    }
+    if(!onPath) {
+      let dr = this.vel.copy().scale(dt);
+      let dv = this.accel.copy().scale(dt);
+      this.pos.add(dr);
+      this.vel.add(dv);
+    }
+    this.age += dt;
+  }
+}
+
+export class BulletBehavior {
+  /**
+  * Create a script for bullets to follow as they age. Steps with an "at" time
+  * happen once, when the bullet gets that old. Steps with "from" and "to" times
+  * keep happening for as long as the bullet's age is in between them.
+  * @param {list} steps the steps making up the timeline
+  */
+  constructor(steps) {
+    this.events = steps.filter(step => step.at !== undefined);
+    this.events.sort((a, b) => a.at - b.at);
+    this.spans = steps.filter(step => step.at === undefined);
+  }
+
+  /**
+  * Get a bullet ready to follow this behavior from the beginning
+  * @param {Bullet} bullet the bullet to start
+  */
+  start(bullet) {
+    bullet.nextEvent = 0;
+    bullet.path = null;
+  }
+
+  /**
+  * Apply whatever the timeline says should happen to a bullet this step
+  * @param {Bullet} bullet the bullet to update
+  * @param {number} dt the length of the step
+  * @param {object} world what bullets can see and do: target() gives the point
+  * they aim for, emit(emitter, origin) fires more bullets and destroy(bullet)
+  * gets rid of one
+  * @returns {boolean} whether a path has already moved the bullet this step
+  */
+  update(bullet, dt, world) {
+    while(bullet.alive && bullet.nextEvent < this.events.length
+      && bullet.age >= this.events[bullet.nextEvent].at) {
+      let event = this.events[bullet.nextEvent];
+      bullet.nextEvent++;
+      BulletBehavior.applyEvent(bullet, event, world);
+    }
+    if(!bullet.alive) {
+      return true;
+    }
+    let onPath = false;
+    for(let i = 0; i < this.spans.length; i++) {
+      let span = this.spans[i];
+      if(bullet.age >= span.from && bullet.age < span.to) {
+        onPath = BulletBehavior.applySpan(bullet, span, dt, world) || onPath;
+      }
+    }
+    return onPath;
+  }
+
+  /**
+  * Do something to a bullet once
+  * @param {Bullet} bullet the bullet to change
+  * @param {object} event the step to apply
+  * @param {object} world what bullets can see and do
+  */
+  static applyEvent(bullet, event, world) {
+    let angle = (event.angle || 0) * Math.PI / 180;
+    let dir = bullet.vel.copy().normalize();
+    if(event.action === "turn") {
+      dir.rotate(angle);
+      bullet.vel.rotate(angle);
+      bullet.accel.rotate(angle);
+    } else if(event.action === "aim") {
+      dir = world.target().subtract(bullet.getCenter()).normalize().rotate(angle);
+      bullet.vel = dir.copy().scale(bullet.vel.length());
+      bullet.accel = new Point(0, 0);
+    } else if(event.action === "emit") {
+      world.emit(event.emitter, bullet.getCenter());
+    } else if(event.action === "expire") {
+      if(event.emitter) {
+        world.emit(event.emitter, bullet.getCenter());
+      }
+      world.destroy(bullet);
+      return;
+    }
+    //any step can also change how fast the bullet is going
+    if(event.speed !== undefined) {
+      bullet.vel = dir.copy().scale(event.speed);
+    }
+    if(event.accel !== undefined) {
+      bullet.accel = dir.copy().scale(event.accel);
+    }
+  }
+
+  /**
+  * Do something to a bullet over the course of a step
+  * @param {Bullet} bullet the bullet to change
+  * @param {object} span the step to apply
+  * @param {number} dt the length of the step
+  * @param {object} world what bullets can see and do
+  * @returns {boolean} whether the bullet has been moved along a path
+  */
+  static applySpan(bullet, span, dt, world) {
+    if(span.action === "home") {
+      let desired = world.target().subtract(bullet.getCenter());
+      let turn = Math.atan2(desired.y, desired.x) - Math.atan2(bullet.vel.y, bullet.vel.x);
+      turn = Math.atan2(Math.sin(turn), Math.cos(turn)); //wrap to between -pi and pi
+      let maxTurn = (span.turnRate || 0) * Math.PI / 180 * dt;
+      turn = Math.max(-maxTurn, Math.min(maxTurn, turn));
+      bullet.vel.rotate(turn);
+      bullet.accel.rotate(turn);
+    } else if(span.action === "spin") {
+      let turn = (span.rate || 0) * Math.PI / 180 * dt;
+      bullet.vel.rotate(turn);
+      bullet.accel.rotate(turn);
+    } else if(span.action === "wave") {
+      //sway side to side across the direction of travel
+      let t = bullet.age - span.from;
+      let phase = 2 * Math.PI * (span.frequency || 0);
+      let sway = (span.amplitude || 0) * (Math.sin(phase * (t + dt)) - Math.sin(phase * t));
+      bullet.pos.add(new Point(-bullet.vel.y, bullet.vel.x).normalize().scale(sway));
+    } else if(span.action === "spiral") {
+      return BulletBehavior.followSpiral(bullet, span, dt);
+    }
+    return false;
+  }
+
+  /**
+  * Move a bullet along a spiral, starting from where it was when the span
+  * began and heading out the way it was going. Once the span is over, the
+  * bullet carries on along the spiral's tangent.
+  * @param {Bullet} bullet the bullet to move
+  * @param {object} span the spiral step
+  * @param {number} dt the length of the step
+  * @returns {boolean} true, since the bullet has been moved
+  */
+  static followSpiral(bullet, span, dt) {
+    if(bullet.path === null || bullet.path.span !== span) {
+      bullet.path = {
+        span:span,
+        center:bullet.pos.copy(),
+        angle:Math.atan2(bullet.vel.y, bullet.vel.x)
+      };
+    }
+    let radialSpeed = span.radialSpeed || 0;
+    let angularSpeed = (span.angularSpeed || 0) * Math.PI / 180;
+    let t = bullet.age + dt - span.from;
+    let angle = bullet.path.angle + angularSpeed * t;
+    let outward = new Point(Math.cos(angle), Math.sin(angle));
+    bullet.pos = bullet.path.center.copy().add(outward.copy().scale(radialSpeed * t));
+    if(bullet.age + dt >= span.to) {
+      bullet.vel = outward.copy().scale(radialSpeed)
+        .add(new Point(-outward.y, outward.x).scale(radialSpeed * t * angularSpeed));
+      bullet.path = null;
+    }
+    return true;
+  }
+}
+
+export class BulletPool {
+  /**
+  * Create a pool of bullets that all use the same image. Bullets that are done
+  * get hidden and kept around to be fired again, instead of being thrown away.
+  * @param {Renderer} renderer the renderer the bullets' sprites belong to
+  * @param {string} src the image for the bullets
+  * @param {number} limit the most bullets that can be out at once
+  * @param {object} hitbox the circle the bullets collide with
+  */
+  constructor(renderer, src, limit, hitbox) {
+    this.renderer = renderer;
+    this.src = src;
+    this.limit = limit;
+    this.hitbox = hitbox;
+    this.free = [];
+    this.live = 0;
+  }
+
+  /**
+  * Get a bullet ready to be fired, reusing an old one if there is one. If the
+  * limit has been reached, no bullet is fired.
+  * @param {list} classes the classes to style the bullet with
+  * @param {Point} pos the position of the bullet
+  * @param {Point} vel the velocity of the bullet
+  * @param {Point} accel the acceleration of the bullet
+  * @param {BulletBehavior} behavior the script for the bullet to follow, or null
+  * @returns {Bullet} the bullet, or null if there are too many out already
+  */
+  acquire(classes, pos, vel, accel, behavior) {
+    if(this.live >= this.limit) {
+      return null;
+    }
+    let bullet = null;
+    if(this.free.length > 0) {
+      bullet = this.free.pop();
+      this.renderer.setSpriteClasses(bullet.sprite, classes);
+      this.renderer.setSpriteVisible(bullet.sprite, true);
+      bullet.reset(pos, this.renderer.getSpriteSize(bullet.sprite), vel, accel, behavior);
+    } else {
+      let sprite = this.renderer.createSprite(this.src, classes);
+      bullet = new Bullet(sprite, pos, this.renderer.getSpriteSize(sprite), this.hitbox, vel,
+        accel, behavior);
+      bullet.pool = this;
+    }
+    this.live++;
+    return bullet;
+  }
+
+  /**
+  * Take a bullet out of play. It can't be reused until it's been reclaimed,
+  * since it could still be sitting in a list of bullets.
+  * @param {Bullet} bullet the bullet that's done
+  */
+  release(bullet) {
+    bullet.alive = false;
+    this.renderer.setSpriteVisible(bullet.sprite, false);
+    this.live--;
+  }
+
+  /**
+  * Put a released bullet away to be reused later, once nothing refers to it
+  * @param {Bullet} bullet the released bullet
+  */
+  reclaim(bullet) {
+    this.free.push(bullet);
+  }
+
+  /**
+  * Get rid of all the bullets being kept around. Bullets that are still out
+  * should be released first.
+  */
+  empty() {
+    for(let i = 0; i < this.free.length; i++) {
+      this.renderer.removeSprite(this.free[i].sprite);
+    }
+    this.free = [];
+  }
+}
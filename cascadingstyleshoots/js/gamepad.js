@@ -0,0 +1,67 @@
+/*
+This reads controllers with the standard button layout into the same actions
+the keyboard uses. It is used by main.js
+*/
+
+import {Point} from "./point.js";
+
+const STICK_AXES = {x:0, y:1};
+const STICK_DEADZONE = 0.2;
+//how finely stick positions are kept, so tiny wobbles don't count as changes
+const STICK_PRECISION = 100;
+const GAMEPAD_BUTTONS = {
+  up:[12],
+  down:[13],
+  left:[14],
+  right:[15],
+  focus:[4, 5, 6, 7],
+  bomb:[1],
+  pause:[9],
+  confirm:[0],
+  reroll:[2]
+};
+
+/**
+* Read what a controller is doing
+* @param {Gamepad} pad the controller to read
+* @returns {object} which actions' buttons are held, by name, along with stick,
+* how far the left stick is pushed as a point no longer than 1
+*/
+export function readGamepad(pad) {
+  let state = {stick:readStick(pad)};
+  let actions = Object.keys(GAMEPAD_BUTTONS);
+  for(let i = 0; i < actions.length; i++) {
+    state[actions[i]] = GAMEPAD_BUTTONS[actions[i]].some(index => isPressed(pad, index));
+  }
+  return state;
+}
+
+/**
+* Read the left stick, ignoring it when it's close enough to the middle that
+* it's probably just resting there. Past the deadzone, the stick's position is
+* rescaled so that movement starts out slow instead of jumping.
+* @param {Gamepad} pad the controller to read
+* @returns {Point} where the stick is pushed, no longer than 1
+*/
+function readStick(pad) {
+  let stick = new Point(pad.axes[STICK_AXES.x] || 0, pad.axes[STICK_AXES.y] || 0);
+  let length = stick.length();
+  if(length <= STICK_DEADZONE) {
+    return new Point(0, 0);
+  }
+  let scaled = Math.min((length - STICK_DEADZONE) / (1 - STICK_DEADZONE), 1);
+  stick.scale(scaled / length);
+  stick.x = Math.round(stick.x * STICK_PRECISION) / STICK_PRECISION;
+  stick.y = Math.round(stick.y * STICK_PRECISION) / STICK_PRECISION;
+  return stick;
+}
+
+/**
+* Check if one of a controller's buttons is held down
+* @param {Gamepad} pad the controller to check
+* @param {number} index the button's place in the standard layout
+* @returns {boolean} whether the button is held
+*/
+function isPressed(pad, index) {
+  return index < pad.buttons.length && pad.buttons[index].pressed;
+}
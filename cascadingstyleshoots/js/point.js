@@ -0,0 +1,152 @@
+/*
+These are the points and random numbers that everything in the play area is
+built on. They are used by the rest of the game's modules
+*/
+
+export class Point {
+  /**
+  * Construct a point
+  * @param {x} x the x coordinate
+  * @param {y} y the y coordinate
+  */
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+  * Make a copy of a point
+  * @returns {Point} the copy of the point
+  */
+  copy() {
+    return new Point(this.x, this.y);
+  }
+
+  /**
+  * Add a point to this point
+  * @param {Point} point the point to add with
+  * @returns {Point} this point
+  */
+  add(point) {
+    this.x += point.x;
+    this.y += point.y;
+    return this;
+  }
+
+  /**
+  * Subtract a point from this point
+  * @param {Point} point the point to subtract
+  * @returns {Point} this point
+  */
+  subtract(point) {
+    this.x -= point.x;
+    this.y -= point.y;
+    return this;
+  }
+
+  /**
+  * Multiply this point with a scalar
+  * @param {number} mult the number to multiply by
+  * @returns {Point} this point
+  */
+  scale(mult) {
+    this.x *= mult;
+    this.y *= mult;
+    return this;
+  }
+
+  /**
+  * Rotate this point around the origin
+  * @param {number} angle the angle to rotate by, in radians
+  * @returns {Point} this point
+  */
+  rotate(angle) {
+    let cos = Math.cos(angle);
+    let sin = Math.sin(angle);
+    let x = this.x * cos - this.y * sin;
+    this.y = this.x * sin + this.y * cos;
+    this.x = x;
+    return this;
+  }
+
+  /**
+  * Get the length of this point from the origin
+  * @returns {number} the length
+  */
+  length() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  /**
+  * Set the length of this point to 1, leaving it alone if it has no length
+  * @returns {Point} this point
+  */
+  normalize() {
+    let length = this.length();
+    if(length !== 0) {
+      this.scale(1/length);
+    }
+    return this;
+  }
+
+  /**
+  * Set an element's positioning style based on a point
+  * @param {Point} point the position to use
+  * @param {CSSStyleDeclaration} style the style of the element to set
+  */
+  static pointToStyle(point, style) {
+    style.left = point.x + "px";
+    style.top = point.y + "px";
+  }
+
+  /**
+  * Get the distance between two points
+  * @param {Point} p1 first point
+  * @param {Point} p2 second point
+  * @return {number} the distance between them
+  */
+  static distance(p1, p2) {
+    let dx = p2.x - p1.x;
+    let dy = p2.y - p1.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+  * Check if two circles overlap, touching counts
+  * @param {Point} c1 the center of the first circle
+  * @param {number} r1 the radius of the first circle
+  * @param {Point} c2 the center of the second circle
+  * @param {number} r2 the radius of the second circle
+  * @returns {boolean} whether the circles overlap
+  */
+  static circlesOverlap(c1, r1, c2, r2) {
+    let dx = c2.x - c1.x;
+    let dy = c2.y - c1.y;
+    let reach = r1 + r2;
+    return dx * dx + dy * dy <= reach * reach;
+  }
+}
+
+export class Random {
+  /**
+  * Create a random number generator that gives the same numbers every time
+  * it's given the same seed
+  * @param {number} seed the seed to start from
+  */
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+  * Get the next random number
+  * @returns {number} a number from 0 up to but not including 1
+  */
+  next() {
+    //mulberry32
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
@@ -0,0 +1,514 @@
+/*
+These are the different ways of drawing the play area. They are used by main.js
+*/
+
+import {Point} from "./point.js";
+
+//the colors collision grids get shaded in, and how full a cell is when it's solid
+const DEBUG_COLORS = ["cyan", "magenta"];
+const DEBUG_FULL_CELL = 8;
+
+export class Renderer {
+  /**
+  * Base for the things that know how to draw entities in the play area. Sprites
+  * are described by an image and a list of classes, and it's up to the style
+  * sheet to decide what those classes look like.
+  * @param {DOMElement} playArea the play area to draw in
+  */
+  constructor(playArea) {
+    this.playArea = playArea;
+    this.appearances = {};
+  }
+
+  /**
+  * Forget how sprites looked, to be called when styles could have changed
+  * @param {Point} size the new size of the play area
+  */
+  reset(size) {
+    this.appearances = {};
+  }
+
+  /**
+  * Find out how a sprite with the given image and classes is styled. This is
+  * measured once off of a throwaway element and remembered until reset.
+  * @param {string} src the sprite's image
+  * @param {list} classes the sprite's classes
+  * @returns {object} the sprite's size, opacity and filter
+  */
+  getAppearance(src, classes) {
+    let key = src + " " + classes.join(" ");
+    if(!this.appearances[key]) {
+      let probe = createStacker(src, classes);
+      this.playArea.appendChild(probe);
+      let image = probe.firstChild;
+      let imageStyle = window.getComputedStyle(image);
+      this.appearances[key] = {
+        size:new Point(image.clientWidth, image.clientHeight),
+        opacity:parseFloat(window.getComputedStyle(probe).opacity)
+          * parseFloat(imageStyle.opacity),
+        filter:imageStyle.filter
+      };
+      probe.remove();
+    }
+    return this.appearances[key];
+  }
+
+  /**
+  * Get the size of a sprite as it would be laid out on the page
+  * @param {object} sprite the sprite to measure
+  * @returns {Point} the dimensions of the sprite's image
+  */
+  getSpriteSize(sprite) {
+    return this.getAppearance(sprite.src, sprite.classes).size.copy();
+  }
+
+  /**
+  * Make a new sprite
+  * @param {string} src the image to draw
+  * @param {list} classes the classes to style the image with
+  * @returns {object} the sprite
+  */
+  createSprite(src, classes) {
+    return {src:src, classes:classes.slice()};
+  }
+
+  /**
+  * Get rid of a sprite that won't be drawn anymore
+  * @param {object} sprite the sprite to remove
+  */
+  removeSprite(sprite) {}
+
+  /**
+  * Add or remove a class from a sprite
+  * @param {object} sprite the sprite to change
+  * @param {string} className the class to add or remove
+  * @param {boolean} on whether the sprite should have the class
+  */
+  setSpriteClass(sprite, className, on) {
+    let ind = sprite.classes.indexOf(className);
+    if(on && ind === -1) {
+      sprite.classes.push(className);
+    } else if(!on && ind !== -1) {
+      sprite.classes.splice(ind, 1);
+    }
+  }
+
+  /**
+  * Replace all of a sprite's classes
+  * @param {object} sprite the sprite to change
+  * @param {list} classes the classes the sprite should have
+  */
+  setSpriteClasses(sprite, classes) {
+    sprite.classes = classes.slice();
+  }
+
+  /**
+  * Show or hide a sprite
+  * @param {object} sprite the sprite to change
+  * @param {boolean} visible whether the sprite should be shown
+  */
+  setSpriteVisible(sprite, visible) {}
+
+  /**
+  * Get ready to draw a frame
+  */
+  begin() {}
+
+  /**
+  * Draw an entity
+  * @param {Entity} entity the entity to draw
+  * @param {number} alpha how far along we are to the next step, from 0 to 1
+  */
+  draw(entity, alpha) {}
+
+  /**
+  * Mark out a hitbox, on top of everything else drawn this frame
+  * @param {Point} center the middle of the hitbox
+  * @param {number} radius how far the hitbox reaches
+  */
+  drawHitbox(center, radius) {}
+
+  /**
+  * Draw what collision checks see over the top of everything: the cells of the
+  * collision grids, shaded by how full they are, and the outline of every hitbox
+  * @param {list} grids the collision grids to show
+  * @param {list} hitboxes the hitboxes to outline, each with a center and radius
+  */
+  drawDebug(grids, hitboxes) {}
+
+  /**
+  * Draw the particles and rings from an effects layer
+  * @param {Effects} effects the effects to draw
+  */
+  drawEffects(effects) {}
+
+  /**
+  * Clean up everything this renderer put on the page
+  */
+  destroy() {}
+}
+
+export class DomRenderer extends Renderer {
+  /**
+  * Make a sprite that is its own element on the page
+  * @param {string} src the image to draw
+  * @param {list} classes the classes to style the image with
+  * @returns {object} the sprite
+  */
+  createSprite(src, classes) {
+    let sprite = super.createSprite(src, classes);
+    sprite.element = createStacker(src, classes);
+    this.playArea.appendChild(sprite.element);
+    return sprite;
+  }
+
+  /**
+  * Take a sprite's element off of the page
+  * @param {object} sprite the sprite to remove
+  */
+  removeSprite(sprite) {
+    sprite.element.remove();
+  }
+
+  /**
+  * Add or remove a class from a sprite and its element
+  * @param {object} sprite the sprite to change
+  * @param {string} className the class to add or remove
+  * @param {boolean} on whether the sprite should have the class
+  */
+  setSpriteClass(sprite, className, on) {
+    super.setSpriteClass(sprite, className, on);
+    sprite.element.classList.toggle(className, on);
+  }
+
+  /**
+  * Replace all of a sprite's classes, on its element too
+  * @param {object} sprite the sprite to change
+  * @param {list} classes the classes the sprite should have
+  */
+  setSpriteClasses(sprite, classes) {
+    super.setSpriteClasses(sprite, classes);
+    let hidden = sprite.element.classList.contains("hidden");
+    sprite.element.className = "stacker";
+    for(let i = 0; i < classes.length; i++) {
+      sprite.element.classList.add(classes[i]);
+    }
+    sprite.element.classList.toggle("hidden", hidden);
+  }
+
+  /**
+  * Show or hide a sprite's element
+  * @param {object} sprite the sprite to change
+  * @param {boolean} visible whether the sprite should be shown
+  */
+  setSpriteVisible(sprite, visible) {
+    sprite.element.classList.toggle("hidden", !visible);
+  }
+
+  /**
+  * Move an entity's element to where the entity is
+  * @param {Entity} entity the entity to draw
+  * @param {number} alpha how far along we are to the next step, from 0 to 1
+  */
+  draw(entity, alpha) {
+    Point.pointToStyle(entity.getDrawPos(alpha), entity.sprite.element.style);
+  }
+
+  /**
+  * Hide the hitbox and overlay until they're drawn again
+  */
+  begin() {
+    if(this.hitbox) {
+      this.hitbox.classList.add("hidden");
+    }
+    if(this.overlay) {
+      this.overlay.classList.add("hidden");
+    }
+    this.overlayDrawn = false;
+  }
+
+  /**
+  * Move the hitbox's element to the hitbox, making it the first time
+  * @param {Point} center the middle of the hitbox
+  * @param {number} radius how far the hitbox reaches
+  */
+  drawHitbox(center, radius) {
+    if(!this.hitbox) {
+      //stacked like a sprite, so that it doesn't push the others around
+      this.hitbox = document.createElement("DIV");
+      this.hitbox.classList.add("stacker", "hitbox");
+      this.hitbox.appendChild(document.createElement("DIV"));
+      this.playArea.appendChild(this.hitbox);
+    }
+    let dot = this.hitbox.firstChild.style;
+    dot.width = dot.height = radius * 2 + "px";
+    dot.margin = -radius + "px";
+    Point.pointToStyle(center, this.hitbox.style);
+    this.hitbox.classList.remove("hidden");
+  }
+
+  /**
+  * Forget how sprites looked, and remember how big the play area is for the
+  * overlay
+  * @param {Point} size the new size of the play area
+  */
+  reset(size) {
+    super.reset(size);
+    this.size = size.copy();
+  }
+
+  /**
+  * Get the canvas laid over the play area ready to paint on for this frame,
+  * making it the first time. Things that would take too many elements to draw
+  * one by one, like particles, go on it.
+  * @returns {CanvasRenderingContext2D} the overlay's canvas
+  */
+  overlayContext() {
+    if(!this.overlay) {
+      this.overlay = document.createElement("DIV");
+      this.overlay.classList.add("stacker", "overlay");
+      this.overlay.appendChild(document.createElement("CANVAS"));
+      this.playArea.appendChild(this.overlay);
+    }
+    let canvas = this.overlay.firstChild;
+    let context = canvas.getContext("2d");
+    if(!this.overlayDrawn) {
+      if(this.size && (canvas.width !== this.size.x || canvas.height !== this.size.y)) {
+        canvas.width = this.size.x;
+        canvas.height = this.size.y;
+      }
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      this.overlay.classList.remove("hidden");
+      this.overlayDrawn = true;
+    }
+    return context;
+  }
+
+  /**
+  * Paint what collision checks see onto the overlay
+  * @param {list} grids the collision grids to show
+  * @param {list} hitboxes the hitboxes to outline, each with a center and radius
+  */
+  drawDebug(grids, hitboxes) {
+    paintDebug(this.overlayContext(), grids, hitboxes);
+  }
+
+  /**
+  * Paint the particles and rings from an effects layer onto the overlay, if
+  * there are any
+  * @param {Effects} effects the effects to draw
+  */
+  drawEffects(effects) {
+    if(effects.particles.length > 0 || effects.rings.length > 0) {
+      paintEffects(this.overlayContext(), effects);
+    }
+  }
+
+  /**
+  * Take the hitbox and overlay off of the page, the sprites are taken off by
+  * the simulation
+  */
+  destroy() {
+    if(this.hitbox) {
+      this.hitbox.remove();
+    }
+    if(this.overlay) {
+      this.overlay.remove();
+    }
+  }
+}
+
+export class CanvasRenderer extends Renderer {
+  /**
+  * Create a renderer that draws everything onto one canvas covering the play area
+  * @param {DOMElement} playArea the play area to draw in
+  */
+  constructor(playArea) {
+    super(playArea);
+    this.canvas = document.createElement("CANVAS");
+    this.playArea.appendChild(this.canvas);
+    this.context = this.canvas.getContext("2d");
+    this.images = {};
+  }
+
+  /**
+  * Forget how sprites looked and make the canvas match the play area
+  * @param {Point} size the new size of the play area
+  */
+  reset(size) {
+    super.reset(size);
+    this.canvas.width = size.x;
+    this.canvas.height = size.y;
+  }
+
+  /**
+  * Make a sprite, loading its image if this is the first time we've seen it
+  * @param {string} src the image to draw
+  * @param {list} classes the classes to style the image with
+  * @returns {object} the sprite
+  */
+  createSprite(src, classes) {
+    if(!this.images[src]) {
+      this.images[src] = new Image();
+      this.images[src].src = src;
+    }
+    return super.createSprite(src, classes);
+  }
+
+  /**
+  * Wipe the canvas for a new frame
+  */
+  begin() {
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+  * Paint an entity onto the canvas the way its classes say it should look
+  * @param {Entity} entity the entity to draw
+  * @param {number} alpha how far along we are to the next step, from 0 to 1
+  */
+  draw(entity, alpha) {
+    let image = this.images[entity.sprite.src];
+    if(!image.complete) {
+      return;
+    }
+    let appearance = this.getAppearance(entity.sprite.src, entity.sprite.classes);
+    let pos = entity.getDrawPos(alpha);
+    this.context.globalAlpha = appearance.opacity;
+    this.context.filter = appearance.filter;
+    this.context.drawImage(image, pos.x, pos.y, appearance.size.x, appearance.size.y);
+  }
+
+  /**
+  * Paint a hitbox onto the canvas
+  * @param {Point} center the middle of the hitbox
+  * @param {number} radius how far the hitbox reaches
+  */
+  drawHitbox(center, radius) {
+    this.context.globalAlpha = 1;
+    this.context.filter = "none";
+    this.context.beginPath();
+    this.context.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    this.context.fillStyle = "white";
+    this.context.strokeStyle = "red";
+    this.context.fill();
+    this.context.stroke();
+  }
+
+  /**
+  * Paint what collision checks see onto the canvas
+  * @param {list} grids the collision grids to show
+  * @param {list} hitboxes the hitboxes to outline, each with a center and radius
+  */
+  drawDebug(grids, hitboxes) {
+    this.context.globalAlpha = 1;
+    this.context.filter = "none";
+    paintDebug(this.context, grids, hitboxes);
+  }
+
+  /**
+  * Paint the particles and rings from an effects layer onto the canvas
+  * @param {Effects} effects the effects to draw
+  */
+  drawEffects(effects) {
+    this.context.filter = "none";
+    paintEffects(this.context, effects);
+  }
+
+  /**
+  * Take the canvas off of the page
+  */
+  destroy() {
+    this.canvas.remove();
+  }
+}
+
+//GENERAL HELPER METHODS FOR THINGS IN THE PLAY AREA
+/**
+* Creates an element for something in the play area, without adding it yet
+* @param {string} imgsrc the image to go with the element
+* @param {list} classes the classes to give the element
+* @returns {DOMElement} the div element created
+*/
+function createStacker(imgsrc, classes) {
+  let stacker = document.createElement("DIV");
+  stacker.classList.add("stacker");
+  for(let i = 0; i < classes.length; i++) {
+    stacker.classList.add(classes[i]);
+  }
+  let image = document.createElement("IMG");
+  stacker.appendChild(image);
+  image.src = imgsrc;
+  return stacker;
+}
+
+/**
+* Paint collision grids and hitboxes onto a canvas. Cells get more opaque the
+* more entities are in them, with each grid in its own color.
+* @param {CanvasRenderingContext2D} context the canvas to paint on
+* @param {list} grids the collision grids to show
+* @param {list} hitboxes the hitboxes to outline, each with a center and radius
+*/
+function paintDebug(context, grids, hitboxes) {
+  for(let i = 0; i < grids.length; i++) {
+    let grid = grids[i];
+    let counts = grid.cellCounts();
+    context.fillStyle = DEBUG_COLORS[i % DEBUG_COLORS.length];
+    for(let j = 0; j < counts.length; j++) {
+      if(counts[j] > 0) {
+        context.globalAlpha = Math.min(counts[j] / DEBUG_FULL_CELL, 1) * 0.5;
+        context.fillRect(j % grid.columns * grid.cellSize,
+          Math.floor(j / grid.columns) * grid.cellSize, grid.cellSize, grid.cellSize);
+      }
+    }
+  }
+  context.globalAlpha = 1;
+  context.strokeStyle = "rgba(255, 255, 255, 0.2)";
+  if(grids.length > 0) {
+    context.beginPath();
+    for(let x = 0; x <= grids[0].columns; x++) {
+      context.moveTo(x * grids[0].cellSize, 0);
+      context.lineTo(x * grids[0].cellSize, grids[0].rows * grids[0].cellSize);
+    }
+    for(let y = 0; y <= grids[0].rows; y++) {
+      context.moveTo(0, y * grids[0].cellSize);
+      context.lineTo(grids[0].columns * grids[0].cellSize, y * grids[0].cellSize);
+    }
+    context.stroke();
+  }
+  context.strokeStyle = "lime";
+  context.beginPath();
+  for(let i = 0; i < hitboxes.length; i++) {
+    //points get a small circle so they can still be seen
+    let radius = Math.max(hitboxes[i].radius, 1);
+    context.moveTo(hitboxes[i].center.x + radius, hitboxes[i].center.y);
+    context.arc(hitboxes[i].center.x, hitboxes[i].center.y, radius, 0, Math.PI * 2);
+  }
+  context.stroke();
+}
+
+/**
+* Paint particles and rings onto a canvas, fading them out as they get old
+* @param {CanvasRenderingContext2D} context the canvas to paint on
+* @param {Effects} effects the effects to paint
+*/
+function paintEffects(context, effects) {
+  for(let i = 0; i < effects.particles.length; i++) {
+    let particle = effects.particles[i];
+    context.globalAlpha = 1 - particle.age / particle.life;
+    context.fillStyle = particle.color;
+    context.fillRect(particle.pos.x - particle.size, particle.pos.y - particle.size,
+      particle.size * 2, particle.size * 2);
+  }
+  context.lineWidth = 3;
+  for(let i = 0; i < effects.rings.length; i++) {
+    let ring = effects.rings[i];
+    context.globalAlpha = 1 - ring.radius / ring.maxRadius;
+    context.strokeStyle = ring.color;
+    context.beginPath();
+    context.arc(ring.center.x, ring.center.y, ring.radius, 0, Math.PI * 2);
+    context.stroke();
+  }
+  context.lineWidth = 1;
+  context.globalAlpha = 1;
+}
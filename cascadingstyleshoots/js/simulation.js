@@ -0,0 +1,1669 @@
+/*
+This is the simulation behind the bullet hell: the player, the enemy, all of
+their bullets and how rounds play out. It never touches the page itself, it
+only tells its view when there's something new to show, so it can be run
+without a browser. It is used by main.js and headless.js
+*/
+
+import {Point, Random} from "./point.js";
+import {Entity, BulletPool, BulletBehavior} from "./entities.js";
+import {CollisionGrid} from "./collision.js";
+import {
+  parseCustomStyle, mergeCustomStyles, addedStyleCost, customStyleFor, describeCustomStyles
+} from "./customstyles.js";
+
+export const ROUND_STATE = {play:0, break:1, paused:2};
+export const REPLAY_MODE = {record:0, play:1};
+export const REPLAY_VERSION = 11;
+export const TIMESTEP = 1 / 120;
+const PLAYER_SPEED = {normal:300, focus:150};
+const PLAYER_START = new Point(200, 400);
+const PLAYER_INVULN_TIME = 3;
+export const MAX_EXTRA_INVULN_TIME = 3;
+/*
+What the player can shoot, picked at the start of a run. Each shot type fires
+every interval seconds, with one pattern while moving normally and another while
+focusing. A pattern fires count bullets, and one more for every power level:
+curves spread them out along a curve, fans spread them evenly across angle
+degrees, and columns line them up side by side gap pixels apart. Bullets with
+a behavior follow it, which is how homing shots find the enemy. Each bullet takes
+damage off of the enemy's health, and more at higher power levels. Points and
+power drops go by the damage done, so faster, weaker shots don't earn more.
+*/
+export const SHOT_TYPES = {
+  spread:{label:"Wide spread", interval:0.2, damage:1,
+    normal:{pattern:"curve", count:5, speed:400},
+    focus:{pattern:"fan", count:5, speed:450, angle:12}},
+  laser:{label:"Focused laser", interval:0.08, damage:0.6,
+    normal:{pattern:"column", count:3, speed:800, gap:10},
+    focus:{pattern:"column", count:3, speed:900, gap:5}},
+  homing:{label:"Homing", interval:0.25, damage:0.9,
+    normal:{pattern:"fan", count:2, speed:300, angle:90,
+      behavior:new BulletBehavior([{action:"home", from:0.1, to:3, turnRate:180}])},
+    focus:{pattern:"fan", count:2, speed:350, angle:20,
+      behavior:new BulletBehavior([{action:"home", from:0, to:3, turnRate:360}])}}
+};
+//power comes in items, and every POWER_PER_LEVEL of them is another power level
+const POWER_PER_LEVEL = 5;
+export const MAX_POWER_LEVEL = 4;
+//how much more damage each power level does, on top of the shot type's own
+const POWER_DAMAGE_BONUS = 0.1;
+//the enemy drops an item for every so much damage done, and a few more when it's beaten
+const POWER_DROP_DAMAGE = 30;
+const POWER_DEFEAT_DROPS = 3;
+//dying costs a power level
+const POWER_DEATH_LOSS = POWER_PER_LEVEL;
+const POWER_ITEM_SCORE = 50;
+//items pop up out of the enemy, then fall, and get picked up from a little way away
+const POWER_ITEM_POP = new Point(60, -150);
+const POWER_ITEM_GRAVITY = 250;
+const POWER_ITEM_MAX_FALL = 150;
+const POWER_ITEM_PICKUP_DISTANCE = 24;
+const PLAYER_START_BOMBS = 2;
+const MAX_BOMBS = 5;
+const ROUND_BOMBS = 1;
+const BOMB_RADIUS = 150;
+const BOMB_INVULN_TIME = 1;
+//dying sends out a wave that clears enemy bullets as it passes, for a fair restart
+export const DEATH_WAVE_SPEED = 600;
+export const DEATH_WAVE_RADIUS = 250;
+//what each bullet a bomb clears is worth, but bombing also ends the combo
+const BOMB_BULLET_SCORE = 10;
+//how many bullets can be out at once, unless a run's options say otherwise
+const MAX_BULLETS = {player:200, enemy:1500};
+/*
+What everything collides with, unless an enemy type says otherwise. Most hitboxes
+are fractions of their sprite's width so that styles resizing a sprite resize its
+hitbox too. The player's is a few pixels in the middle, no matter how big it looks,
+and only the styles for the player's hitbox change it.
+Enemy bullets are a bit smaller than they look, so that near misses are misses.
+*/
+const HITBOXES = {
+  player:{radius:2, offset:new Point(0, 0), fixed:true},
+  enemy:{radius:0.5, offset:new Point(0, 0)},
+  playerBullet:{radius:0.5, offset:new Point(0, 0)},
+  powerItem:{radius:0.5, offset:new Point(0, 0)},
+  enemyBullet:{radius:0.4, offset:new Point(0, 0)}
+};
+//about two bullets wide, so most bullets only land in a cell or two
+const COLLISION_CELL_SIZE = 32;
+const ENEMY_START = new Point(200, 25);
+//for every point of damage a hit does
+const HIT_SCORE = 100;
+const GRAZE_SCORE = 20;
+//how much further than a bullet's reach it can pass by and still graze
+const GRAZE_DISTANCE = 16;
+//moving slowly makes bullets harder to get out of the way of
+export const FOCUS_SCORE_MULTIPLIER = 1.5;
+//every COMBO_STEP hits add another 1 to the multiplier, up to COMBO_MAX hits
+const COMBO_STEP = 50;
+const COMBO_MAX = 150;
+//how long the combo holds after a hit or graze, and how fast it drains after that
+const COMBO_HOLD_TIME = 1.5;
+const COMBO_DRAIN_INTERVAL = 0.05;
+const ROUND_PAR_TIME = 30;
+const CLEAR_TIME_SCORE = 50;
+const CLEAR_LIVES_SCORE = 2000;
+const CLEAR_LIVES_PENALTY = 1000;
+const STYLE_REROLLS = 3;
+export const CUSTOM_STYLE_BUDGET = 5;
+//how likely a style is to be offered, next to the others
+const RARITY_WEIGHTS = {common:6, uncommon:3, rare:1};
+//style effects that add up instead of multiplying together
+const ADDED_EFFECTS = ["shotCount"];
+const NO_STYLE_EFFECTS = {hitbox:1, shootInterval:1, enemyBulletSpeed:1, shotCount:0};
+//what each difficulty multiplies bullet counts, bullet speeds and enemy health by
+export const DIFFICULTIES = {
+  easy:{label:"Easy", bulletCount:0.6, bulletSpeed:0.8, enemyHealth:0.75, lives:7},
+  normal:{label:"Normal", bulletCount:1, bulletSpeed:1, enemyHealth:1, lives:5},
+  hard:{label:"Hard", bulletCount:1.3, bulletSpeed:1.15, enemyHealth:1.25, lives:4},
+  lunatic:{label:"Lunatic", bulletCount:1.7, bulletSpeed:1.3, enemyHealth:1.5, lives:3}
+};
+const DEFAULT_RUN_OPTIONS = {difficulty:"normal", extraInvulnTime:0, shotType:"spread",
+  maxBullets:MAX_BULLETS};
+export const SPRITES = {
+  player:"img/player.png",
+  enemy:"img/enemy.png",
+  playerBullet:"img/playerbullet.png",
+  //a recolored bullet, styled in style.css
+  powerItem:"img/playerbullet.png",
+  enemyBullet:"img/enemybullet.png"
+};
+export const EMITTERS = {
+  wall:emitWall, fan:emitFan, burst:emitBurst, scatter:emitScatter, ring:emitRing
+};
+const NO_KEYS = {up:false, left:false, down:false, right:false, focus:false, bomb:false};
+export let keysPressed = Object.assign({}, NO_KEYS);
+export let analogMove = new Point(0, 0);
+export let playerStats = {lives:DIFFICULTIES.normal.lives, score:0, invulnTimer:0, shootTimer:0,
+  rerolls:STYLE_REROLLS, combo:0, comboTimer:0, grazes:0, bombs:PLAYER_START_BOMBS, power:0};
+export let roundStats = {time:0, livesLost:0};
+//the settings that change how a run plays out, which get saved with replays
+export let runOptions = Object.assign({}, DEFAULT_RUN_OPTIONS);
+let difficulty = DIFFICULTIES.normal;
+let shotType = SHOT_TYPES.spread;
+//bombs go off when the key is first pressed, not for as long as it's held
+let bombHeld = false;
+//where the wave from the player's last death is and how far it's spread, or null
+let deathWave = null;
+export let enemyStats = {level:1, health:0, maxHealth:1, encounter:0, phase:0};
+/*
+Each style can be taken once per tier. A tier can add a class to one kind of
+sprite, and change how the game plays through its effects, which replace the
+effects of the tier before it. Curses come with a downside.
+*/
+export let styleBonuses = {
+  enemyBulletShrink:{tier:0, rarity:"common", curse:false, sprite:"enemyBullet", tiers:[
+    {description:".enemy-bullet {width: 75%; height: 75%;}", className:"enemy-bullet-downgrade"},
+    {description:".enemy-bullet {width: 62.5%; height: 62.5%;}",
+      className:"enemy-bullet-downgrade-2"},
+    {description:".enemy-bullet {width: 50%; height: 50%;}", className:"enemy-bullet-downgrade-3"}
+  ]},
+  enemyGrow:{tier:0, rarity:"common", curse:false, sprite:"enemy", tiers:[
+    {description:"#enemy {width: 150%; height: 150%;}", className:"enemy-downgrade"},
+    {description:"#enemy {width: 200%; height: 200%;}", className:"enemy-downgrade-2"}
+  ]},
+  playerBulletGrow:{tier:0, rarity:"uncommon", curse:false, sprite:"playerBullet", tiers:[
+    {description:".player-bullet {width: 200%; height: 200%;}", className:"player-bullet-upgrade"},
+    {description:".player-bullet {width: 300%; height: 300%;}",
+      className:"player-bullet-upgrade-2"}
+  ]},
+  playAreaGrow:{tier:0, rarity:"rare", curse:false, sprite:"playArea", tiers:[
+    {description:"#play-area {width: 150%;}", className:"width-upgrade"}
+  ]},
+  playerBulletTransparent:{tier:0, rarity:"common", curse:false, sprite:"playerBullet", tiers:[
+    {description:".player-bullet {opacity: 0.5;}", className:"player-bullet-transparent"}
+  ]},
+  playerHitboxShrink:{tier:0, rarity:"uncommon", curse:false, tiers:[
+    {description:".player {--hitbox: 80%;}", effects:{hitbox:0.8}},
+    {description:".player {--hitbox: 60%;}", effects:{hitbox:0.6}}
+  ]},
+  fireRate:{tier:0, rarity:"uncommon", curse:false, tiers:[
+    {description:".player {--fire-rate: 125%;}", effects:{shootInterval:0.8}},
+    {description:".player {--fire-rate: 150%;}", effects:{shootInterval:2 / 3}},
+    {description:".player {--fire-rate: 200%;}", effects:{shootInterval:0.5}}
+  ]},
+  spread:{tier:0, rarity:"rare", curse:false, tiers:[
+    {description:".player {--extra-shots: 2;}", effects:{shotCount:2}},
+    {description:".player {--extra-shots: 4;}", effects:{shotCount:4}}
+  ]},
+  enemyBulletSlow:{tier:0, rarity:"uncommon", curse:false, tiers:[
+    {description:".enemy-bullet {--speed: 85%;}", effects:{enemyBulletSpeed:0.85}},
+    {description:".enemy-bullet {--speed: 70%;}", effects:{enemyBulletSpeed:0.7}},
+    {description:".enemy-bullet {--speed: 55%;}", effects:{enemyBulletSpeed:0.55}}
+  ]},
+  glassCannon:{tier:0, rarity:"uncommon", curse:true, tiers:[
+    {description:".player {--fire-rate: 200%; --hitbox: 150%;}",
+      effects:{shootInterval:0.5, hitbox:1.5}}
+  ]},
+  bulletRush:{tier:0, rarity:"uncommon", curse:true, tiers:[
+    {description:".enemy-bullet {--speed: 130%;} .player {--extra-shots: 4;}",
+      effects:{enemyBulletSpeed:1.3, shotCount:4}}
+  ]},
+  fadedBullets:{tier:0, rarity:"rare", curse:true, sprite:"enemyBullet", tiers:[
+    {description:".enemy-bullet {opacity: 0.4;} .player {--fire-rate: 150%;}",
+      className:"enemy-bullet-faded", effects:{shootInterval:2 / 3}}
+  ]}
+};
+export let styleEffects = Object.assign({}, NO_STYLE_EFFECTS);
+//the CSS the player has written for themselves, from parseCustomStyle()
+export let customStyles = {};
+let currentStyleChoices = [];
+export let choosingBonus = false;
+export let player = {}, enemy = {};
+export let playAreaSize = new Point(0, 0);
+let renderer = null;
+let bulletPools = {player:null, enemy:null};
+export let playerBullets = [];
+export let enemyBullets = [];
+export let powerItems = [];
+//counts up to POWER_DROP_DAMAGE
+let damageSinceDrop = 0;
+//where the bullets were after they last moved, to find the ones near the player or enemy
+export const playerBulletGrid = new CollisionGrid(COLLISION_CELL_SIZE);
+export const enemyBulletGrid = new CollisionGrid(COLLISION_CELL_SIZE);
+export let roundState = ROUND_STATE.break;
+let enemyAttacks = [];
+let enemyTypes = {};
+let levels = [];
+export let enemyType = null;
+let bulletBehaviors = {};
+let bulletWorld = {
+  target:() => player.getCenter(),
+  emit:(emitter, origin) => EMITTERS[emitter.type](emitter, origin.copy(), 0),
+  destroy:destroyBullet
+};
+//the player's bullets go after the enemy instead
+let playerBulletWorld = Object.assign({}, bulletWorld, {target:() => enemy.getCenter()});
+//set up fresh for every run by resetEnemyState()
+let enemyAttackState = {};
+let enemyMoveState = {};
+let rng = new Random(0);
+export let replay = {mode:REPLAY_MODE.record, seed:0, tick:0, events:[], index:0, keys:{},
+  stick:{x:0, y:0}};
+let view = {
+  measurePlayArea:() => playAreaSize,
+  roundStarted:() => {},
+  roundEnded:choices => {},
+  bonusSelected:bonus => {},
+  bonusRerolled:choices => {},
+  roundCleared:clear => {},
+  gameEnded:() => {},
+  gameReset:() => {},
+  pauseChanged:paused => {},
+  bombUsed:(center, radius) => {},
+  playerShot:() => {},
+  playerDied:center => {},
+  playerGrazed:center => {},
+  enemyHit:center => {},
+  enemyDefeated:center => {},
+  updatePlayerStats:() => {},
+  updateEnemyStats:() => {},
+  encounterStarted:(number, count) => {},
+  replayFailed:message => {}
+};
+
+/**
+* Give the simulation the enemies, levels and attacks to play with
+* @param {object} data what parseGameData made of the data files
+*/
+export function setGameData(data) {
+  enemyAttacks = data.attacks;
+  bulletBehaviors = data.behaviors;
+  enemyTypes = data.enemies;
+  levels = data.levels;
+}
+
+/**
+* Set what gets told about changes the player should see or hear. Anything the view
+* leaves out is ignored.
+* @param {object} newView the functions to call: measurePlayArea() gives the
+* size of the play area, and the rest are told when the things they're named
+* after happen
+*/
+export function setView(newView) {
+  Object.assign(view, newView);
+}
+
+/**
+* Start drawing the player, enemy and bullets with a renderer
+* @param {Renderer} newRenderer the renderer to use
+*/
+export function attachRenderer(newRenderer) {
+  renderer = newRenderer;
+  bulletPools.player = new BulletPool(renderer, SPRITES.playerBullet,
+    runOptions.maxBullets.player, HITBOXES.playerBullet);
+  bulletPools.enemy = new BulletPool(renderer, SPRITES.enemyBullet, runOptions.maxBullets.enemy,
+    HITBOXES.enemyBullet);
+  measurePlayArea();
+  player = new Entity(renderer.createSprite(SPRITES.player, ["player"]), PLAYER_START.copy(),
+    new Point(0, 0), playerHitbox());
+  enemy = new Entity(renderer.createSprite(SPRITES.enemy, ["enemy"]), ENEMY_START.copy(),
+    new Point(0, 0), HITBOXES.enemy);
+}
+
+/**
+* Take everything off of the current renderer, so that it can be destroyed
+*/
+export function detachRenderer() {
+  clearBullets();
+  bulletPools.player.empty();
+  bulletPools.enemy.empty();
+  clearPowerItems();
+  renderer.removeSprite(player.sprite);
+  renderer.removeSprite(enemy.sprite);
+  renderer = null;
+}
+
+/**
+* Advance the simulation by one step
+* @param {number} dt the length of the step
+*/
+export function step(dt) {
+  if(replay.mode === REPLAY_MODE.play) {
+    playReplayInput();
+  } else {
+    recordReplayInput();
+  }
+  roundStats.time += dt;
+  updatePlayer(dt);
+  updateEnemy(dt);
+  updateBullets(dt);
+  updatePowerItems(dt);
+  replay.tick++;
+}
+
+/**
+* Start a fresh run
+* @param {number} seed the seed for everything random that happens in the run
+* @param {number} mode whether the run is being recorded or played back
+* @param {list} events the recorded input to play back, empty if recording
+* @param {object} options the run's difficulty, by name in DIFFICULTIES,
+* extraInvulnTime, how many more seconds the player is safe for after dying,
+* shotType, by name in SHOT_TYPES, and maxBullets, the most player and enemy
+* bullets that can be out at once. Anything left out is the default.
+*/
+export function startRun(seed, mode, events, options) {
+  rng = new Random(seed);
+  //recordings start from nothing held, so playing one back does too
+  replay = {mode:mode, seed:seed, tick:0, events:events, index:0,
+    keys:Object.assign({}, NO_KEYS), stick:{x:0, y:0}};
+  runOptions = Object.assign({}, DEFAULT_RUN_OPTIONS, options);
+  runOptions.maxBullets = Object.assign({}, MAX_BULLETS, runOptions.maxBullets);
+  bulletPools.player.limit = runOptions.maxBullets.player;
+  bulletPools.enemy.limit = runOptions.maxBullets.enemy;
+  difficulty = DIFFICULTIES[runOptions.difficulty];
+  shotType = SHOT_TYPES[runOptions.shotType];
+  playerStats.lives = difficulty.lives;
+  bombHeld = false;
+  deathWave = null;
+  resetEnemyState();
+  roundStart();
+}
+
+/**
+* Handle the end of the game, when the player dies with no lives left.
+*/
+function gameOver() {
+  roundState = ROUND_STATE.break;
+  clearBullets();
+  clearPowerItems();
+  view.gameEnded();
+}
+
+/**
+* Put everything back the way it was at the start of a fresh run.
+*/
+export function resetGame() {
+  playerStats.lives = difficulty.lives;
+  playerStats.score = 0;
+  playerStats.invulnTimer = 0;
+  playerStats.shootTimer = 0;
+  playerStats.rerolls = STYLE_REROLLS;
+  playerStats.combo = 0;
+  playerStats.comboTimer = 0;
+  playerStats.grazes = 0;
+  playerStats.bombs = PLAYER_START_BOMBS;
+  playerStats.power = 0;
+  damageSinceDrop = 0;
+  renderer.setSpriteClass(player.sprite, "invuln", false);
+  enemyStats.level = 1;
+  enemyStats.health = 0;
+  let bonuses = Object.values(styleBonuses);
+  for(let i = 0; i < bonuses.length; i++) {
+    bonuses[i].tier = 0;
+  }
+  customStyles = {};
+  updateStyleEffects();
+  choosingBonus = false;
+  view.gameReset();
+}
+
+/**
+* Stop the action and bring up the pause screen, if a round is being played.
+*/
+export function pauseGame() {
+  if(roundState === ROUND_STATE.play) {
+    roundState = ROUND_STATE.paused;
+    view.pauseChanged(true);
+  }
+}
+
+/**
+* Pick up where we left off from the pause screen.
+*/
+export function resumeGame() {
+  if(roundState === ROUND_STATE.paused) {
+    roundState = ROUND_STATE.play;
+    view.pauseChanged(false);
+  }
+}
+
+/**
+* Switch between paused and playing
+*/
+export function togglePause() {
+  if(roundState === ROUND_STATE.paused) {
+    resumeGame();
+  } else {
+    pauseGame();
+  }
+}
+
+/**
+* Handle the start of a round.
+*/
+function roundStart() {
+  roundState = ROUND_STATE.play;
+  choosingBonus = false;
+  roundStats.time = 0;
+  roundStats.livesLost = 0;
+  view.roundStarted();
+  measurePlayArea();
+  initPlayer();
+  initEnemy();
+  clearBullets();
+  clearPowerItems();
+}
+
+/**
+* Handles the end of a round.
+*/
+function roundEnd() {
+  roundState = ROUND_STATE.break;
+  //nothing moves between rounds, so whatever's left gets picked up for the player
+  for(let i = 0; i < powerItems.length; i++) {
+    collectPowerItem();
+  }
+  clearPowerItems();
+  let clear = roundClearScore();
+  playerStats.score += clear.time + clear.lives;
+  playerStats.lives++;
+  playerStats.bombs = Math.min(playerStats.bombs + ROUND_BOMBS, MAX_BOMBS);
+  enemyStats.level++;
+  view.roundCleared(clear);
+  view.updatePlayerStats();
+  decideStyleBonusChoices();
+}
+
+/**
+* Work out the bonus for clearing a round: points for every second under par,
+* which depends on how many enemies there were, and for keeping lives
+* @returns {object} the time the round took, the lives lost, and the points for
+* time and for lives
+*/
+function roundClearScore() {
+  let par = ROUND_PAR_TIME * currentLevel().encounters.length;
+  return {
+    seconds:roundStats.time,
+    livesLost:roundStats.livesLost,
+    time:Math.round(Math.max(0, par - roundStats.time) * CLEAR_TIME_SCORE),
+    lives:Math.max(0, CLEAR_LIVES_SCORE - roundStats.livesLost * CLEAR_LIVES_PENALTY)
+  };
+}
+
+/**
+* Helper method to determine which styles still have tiers left to take.
+* @returns {list} the names of the styles
+*/
+function getUnfinishedStyles() {
+  let unfinished = [];
+  let names = Object.keys(styleBonuses);
+  for(let i = 0; i < names.length; i++) {
+    let bonus = styleBonuses[names[i]];
+    if(bonus.tier < bonus.tiers.length) {
+      unfinished.push(names[i]);
+    }
+  }
+  return unfinished;
+}
+
+/**
+* Confirms selected upgrade and applies it
+* @param {number} choice which of the choices was picked, 1 or 2
+*/
+export function selectBonus(choice) {
+  if(!choosingBonus || choice > currentStyleChoices.length) {
+    return;
+  }
+  if(replay.mode === REPLAY_MODE.record) {
+    replay.events.push({tick:replay.tick, bonus:choice});
+  }
+  let offer = currentStyleChoices[choice - 1];
+  styleBonuses[offer.name].tier = offer.tier;
+  updateStyleEffects();
+  view.bonusSelected(offer);
+  roundStart();
+}
+
+/**
+* Work out how much of this round's budget some CSS the player wrote would
+* spend, on top of what they've written before
+* @param {string} text the CSS
+* @returns {number} the points it would spend
+*/
+export function customStyleSpend(text) {
+  return addedStyleCost(customStyles, parseCustomStyle(text));
+}
+
+/**
+* Apply CSS the player wrote in place of one of the styles on offer
+* @param {string} text the CSS
+*/
+export function applyCustomStyle(text) {
+  if(!choosingBonus) {
+    return;
+  }
+  let spend = customStyleSpend(text);
+  if(spend > CUSTOM_STYLE_BUDGET) {
+    throw new Error("that costs " + spend + " points, but there are only "
+      + CUSTOM_STYLE_BUDGET + " to spend");
+  }
+  if(replay.mode === REPLAY_MODE.record) {
+    replay.events.push({tick:replay.tick, css:text});
+  }
+  let styles = parseCustomStyle(text);
+  customStyles = mergeCustomStyles(customStyles, styles);
+  view.bonusSelected({description:describeCustomStyles(styles).join(" "), custom:true});
+  roundStart();
+}
+
+/**
+* Trade the styles on offer for a new pair, if there are rerolls left
+*/
+export function rerollBonus() {
+  if(!choosingBonus || playerStats.rerolls <= 0) {
+    return;
+  }
+  if(replay.mode === REPLAY_MODE.record) {
+    replay.events.push({tick:replay.tick, reroll:true});
+  }
+  playerStats.rerolls--;
+  drawStyleChoices();
+  view.bonusRerolled(currentStyleChoices);
+}
+
+/**
+* Decides which two style bonuses to display to the player. Once every style
+* has been taken as far as it goes, the next round just starts.
+*/
+function decideStyleBonusChoices() {
+  drawStyleChoices();
+  if(currentStyleChoices.length > 0) {
+    choosingBonus = true;
+    view.roundEnded(currentStyleChoices);
+  } else {
+    roundStart();
+  }
+}
+
+/**
+* Draw up to two different styles to offer, rarer ones less often. Each offer
+* is the next tier of its style.
+*/
+function drawStyleChoices() {
+  let unfinished = getUnfinishedStyles();
+  currentStyleChoices = [];
+  while(currentStyleChoices.length < 2 && unfinished.length > 0) {
+    let name = removeWeightedRandom(unfinished,
+      option => RARITY_WEIGHTS[styleBonuses[option].rarity]);
+    let bonus = styleBonuses[name];
+    currentStyleChoices.push({
+      name:name,
+      tier:bonus.tier + 1,
+      maxTier:bonus.tiers.length,
+      rarity:bonus.rarity,
+      curse:bonus.curse,
+      description:bonus.tiers[bonus.tier].description
+    });
+  }
+}
+
+/**
+* Get the styles that have been taken, at the tiers they've been taken to,
+* followed by the ones the player wrote
+* @returns {list} the styles' descriptions, tiers, how many tiers they have,
+* whether they're curses and whether the player wrote them
+*/
+export function appliedStyles() {
+  let applied = [];
+  let bonuses = Object.values(styleBonuses);
+  for(let i = 0; i < bonuses.length; i++) {
+    if(bonuses[i].tier > 0) {
+      applied.push({
+        description:bonuses[i].tiers[bonuses[i].tier - 1].description,
+        tier:bonuses[i].tier,
+        maxTier:bonuses[i].tiers.length,
+        curse:bonuses[i].curse
+      });
+    }
+  }
+  let custom = describeCustomStyles(customStyles);
+  for(let i = 0; i < custom.length; i++) {
+    applied.push({description:custom[i], tier:1, maxTier:1, curse:false, custom:true});
+  }
+  return applied;
+}
+
+/**
+* Get the classes the styles that have been taken put on a kind of sprite
+* @param {string} sprite the kind of sprite: player, enemy, playerBullet,
+* enemyBullet or playArea
+* @returns {list} the classes
+*/
+export function styleClasses(sprite) {
+  let classes = [];
+  let bonuses = Object.values(styleBonuses);
+  for(let i = 0; i < bonuses.length; i++) {
+    if(bonuses[i].tier > 0 && bonuses[i].sprite === sprite) {
+      classes.push(bonuses[i].tiers[bonuses[i].tier - 1].className);
+    }
+  }
+  if(customStyleFor(customStyles, sprite) !== null) {
+    //comes last, so the player's own CSS wins over the rest
+    classes.push("custom-style");
+  }
+  return classes;
+}
+
+/**
+* Work out what all of the styles that have been taken do to the game
+* together. Most effects multiply together, but some add up.
+*/
+function updateStyleEffects() {
+  styleEffects = Object.assign({}, NO_STYLE_EFFECTS);
+  let bonuses = Object.values(styleBonuses);
+  for(let i = 0; i < bonuses.length; i++) {
+    let effects = bonuses[i].tier > 0 ? bonuses[i].tiers[bonuses[i].tier - 1].effects : undefined;
+    for(let effect in effects) {
+      if(ADDED_EFFECTS.includes(effect)) {
+        styleEffects[effect] += effects[effect];
+      } else {
+        styleEffects[effect] *= effects[effect];
+      }
+    }
+  }
+  player.hitbox = playerHitbox();
+  player.resize(player.size);
+}
+
+/**
+* Get the player's hitbox, as big as the styles that have been taken make it
+* @returns {object} the hitbox
+*/
+function playerHitbox() {
+  return Object.assign({}, HITBOXES.player, {radius:HITBOXES.player.radius * styleEffects.hitbox});
+}
+
+//replays
+/**
+* Note down any change in which keys are held, or where the stick is pushed,
+* since the last step
+*/
+function recordReplayInput() {
+  let keys = Object.keys(keysPressed);
+  if(keys.some(key => keysPressed[key] !== replay.keys[key])
+    || analogMove.x !== replay.stick.x || analogMove.y !== replay.stick.y) {
+    replay.keys = Object.assign({}, keysPressed);
+    replay.stick = {x:analogMove.x, y:analogMove.y};
+    replay.events.push({tick:replay.tick, keys:replay.keys, stick:replay.stick});
+  }
+}
+
+/**
+* Hold down the keys that were held at this step of the recording. Anything
+* the player presses while watching is overwritten here.
+*/
+function playReplayInput() {
+  let event = replay.events[replay.index];
+  while(event && event.keys && event.tick <= replay.tick) {
+    replay.keys = event.keys;
+    replay.stick = event.stick || {x:0, y:0};
+    replay.index++;
+    event = replay.events[replay.index];
+  }
+  Object.assign(keysPressed, replay.keys);
+  analogMove.x = replay.stick.x;
+  analogMove.y = replay.stick.y;
+}
+
+/**
+* Reroll and pick the style bonus, or write the CSS, the way it was done in
+* the recording, if it's time to
+*/
+export function playReplayBonus() {
+  if(replay.mode !== REPLAY_MODE.play) {
+    return;
+  }
+  let event = replay.events[replay.index];
+  while(choosingBonus && event && event.reroll) {
+    replay.index++;
+    if(playerStats.rerolls <= 0) {
+      stopReplay("it rerolls with none left");
+      return;
+    }
+    rerollBonus();
+    event = replay.events[replay.index];
+  }
+  if(choosingBonus && event && event.bonus !== undefined) {
+    replay.index++;
+    if(event.bonus > currentStyleChoices.length) {
+      stopReplay("it picks bonus " + event.bonus + " of " + currentStyleChoices.length);
+      return;
+    }
+    selectBonus(event.bonus);
+  } else if(choosingBonus && event && event.css !== undefined) {
+    replay.index++;
+    applyCustomStyle(event.css);
+  }
+}
+
+/**
+* End a replay that can't go on the way it was recorded, the way a run ends
+* @param {string} message what the replay did that couldn't be done
+*/
+function stopReplay(message) {
+  choosingBonus = false;
+  gameOver();
+  view.replayFailed(message);
+}
+
+//player stuff
+/**
+* Initializes player
+*/
+function initPlayer() {
+  player.teleport(PLAYER_START);
+  player.resize(renderer.getSpriteSize(player.sprite));
+  view.updatePlayerStats();
+}
+
+/**
+* Update function for player to be called frequently
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updatePlayer(dt) {
+  player.savePosition();
+  playerMove(dt);
+  if(keysPressed.bomb && !bombHeld) {
+    playerBomb();
+  }
+  bombHeld = keysPressed.bomb;
+  if(playerStats.invulnTimer > 0) {
+    playerStats.invulnTimer -= dt;
+    //remove transparency when no longer invulnerable
+    if(playerStats.invulnTimer <= 0) {
+      renderer.setSpriteClass(player.sprite, "invuln", false);
+    }
+  }
+  updateCombo(dt);
+  playerStats.shootTimer -= dt;
+  if(playerStats.shootTimer <= 0) {
+    playerShoot();
+    playerStats.shootTimer += shotType.interval * styleEffects.shootInterval;
+  }
+}
+
+/**
+* Handle player input and movement. Keys move at full speed in eight
+* directions, while a stick moves as far and in whatever direction it's pushed.
+* @param {number} dt the amount of time passed since this was last called
+*/
+function playerMove(dt) {
+  //player input
+  let dir = new Point(0, 0);
+  if(keysPressed.left) {
+    dir.x -= 1;
+  }
+  if(keysPressed.right) {
+    dir.x += 1;
+  }
+  if(keysPressed.up) {
+    dir.y -= 1;
+  }
+  if(keysPressed.down) {
+    dir.y += 1;
+  }
+  dir.normalize();
+  if(dir.length() === 0) {
+    dir = analogMove.copy();
+  }
+  let speed = PLAYER_SPEED.normal;
+  if(keysPressed.focus) {
+    speed = PLAYER_SPEED.focus;
+  }
+  dir.scale(speed * dt);
+  player.pos.add(dir);
+  clampToParent(player);
+}
+
+/**
+* Makes the player shoot a volley, in their shot type's pattern for how they're
+* moving
+*/
+function playerShoot() {
+  let pattern = keysPressed.focus ? shotType.focus : shotType.normal;
+  let count = pattern.count + powerLevel() + styleEffects.shotCount;
+  let damage = shotType.damage * (1 + powerLevel() * POWER_DAMAGE_BONUS);
+  let center = player.getCenter();
+  for(let i = -(count - 1)/2; i <= (count - 1)/2; i++) {
+    let pos = center.copy();
+    let dir = new Point(0, -1);
+    if(pattern.pattern === "curve") {
+      dir = new Point(i * i * i, -10 * i * i - 1).normalize();
+    } else if(pattern.pattern === "fan" && count > 1) {
+      dir.rotate(i / (count - 1) * pattern.angle * Math.PI / 180);
+    } else if(pattern.pattern === "column") {
+      pos.x += i * pattern.gap;
+    }
+    let bullet = spawnBullet(true, pos, dir.scale(pattern.speed), new Point(0, 0),
+      pattern.behavior);
+    if(bullet !== null) {
+      bullet.damage = damage;
+    }
+  }
+  //once for the whole volley, not for every bullet in it
+  view.playerShot();
+}
+
+/**
+* Get how powered up the player's shots are
+* @returns {number} the power level, from 0 to MAX_POWER_LEVEL
+*/
+export function powerLevel() {
+  return Math.min(Math.floor(playerStats.power / POWER_PER_LEVEL), MAX_POWER_LEVEL);
+}
+
+/**
+* Handle player death
+*/
+function playerDeath() {
+  view.playerDied(player.getCenter());
+  if(playerStats.lives >= 1) {
+    deathWave = {center:player.getCenter(), radius:0};
+    playerStats.power = Math.max(playerStats.power - POWER_DEATH_LOSS, 0);
+    player.teleport(PLAYER_START);
+    playerStats.invulnTimer = PLAYER_INVULN_TIME + runOptions.extraInvulnTime;
+    renderer.setSpriteClass(player.sprite, "invuln", true);
+    playerStats.lives--;
+    playerStats.combo = 0;
+    roundStats.livesLost++;
+    view.updatePlayerStats();
+  } else {
+    gameOver();
+  }
+}
+
+/**
+* Set off a bomb, if the player has any left. It clears the enemy bullets
+* around the player, turning them into points, and keeps the player safe for
+* a moment.
+*/
+function playerBomb() {
+  if(playerStats.bombs <= 0) {
+    return;
+  }
+  playerStats.bombs--;
+  playerStats.invulnTimer = Math.max(playerStats.invulnTimer, BOMB_INVULN_TIME);
+  renderer.setSpriteClass(player.sprite, "invuln", true);
+  let center = player.getCenter();
+  let cleared = 0;
+  for(let i = 0; i < enemyBullets.length; i++) {
+    let bullet = enemyBullets[i];
+    if(bullet.alive && Point.distance(center, bullet.getCenter()) <= BOMB_RADIUS) {
+      destroyBullet(bullet);
+      cleared++;
+    }
+  }
+  compactBullets(enemyBullets);
+  addScore(cleared * BOMB_BULLET_SCORE);
+  playerStats.combo = 0;
+  view.bombUsed(center, BOMB_RADIUS);
+  view.updatePlayerStats();
+}
+
+/**
+* Reward the player for letting a bullet pass close by
+* @param {Bullet} bullet the bullet that grazed the player
+*/
+function playerGraze(bullet) {
+  playerStats.grazes++;
+  playerStats.comboTimer = COMBO_HOLD_TIME;
+  addScore(GRAZE_SCORE);
+  view.playerGrazed(bullet.getCenter());
+  view.updatePlayerStats();
+}
+
+//scoring
+/**
+* Get what points are being multiplied by right now, from the combo and from
+* focusing
+* @returns {number} the multiplier
+*/
+function scoreMultiplier() {
+  let multiplier = comboMultiplier();
+  if(keysPressed.focus) {
+    multiplier *= FOCUS_SCORE_MULTIPLIER;
+  }
+  return multiplier;
+}
+
+/**
+* Get what the combo multiplies points by
+* @returns {number} the multiplier
+*/
+export function comboMultiplier() {
+  return 1 + Math.floor(Math.min(playerStats.combo, COMBO_MAX) / COMBO_STEP);
+}
+
+/**
+* Give the player points, multiplied by however well they're doing
+* @param {number} points the points before multiplying
+*/
+function addScore(points) {
+  playerStats.score += Math.round(points * scoreMultiplier());
+}
+
+/**
+* Keep the combo going for a while after the last hit or graze, then drain it
+* a hit at a time
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updateCombo(dt) {
+  if(playerStats.combo <= 0) {
+    return;
+  }
+  playerStats.comboTimer -= dt;
+  if(playerStats.comboTimer <= 0) {
+    playerStats.combo--;
+    playerStats.comboTimer += COMBO_DRAIN_INTERVAL;
+    view.updatePlayerStats();
+  }
+}
+
+//enemy stuff
+/**
+* Initialize the enemy for the first encounter of the level
+*/
+function initEnemy() {
+  enemyStats.encounter = 0;
+  startEncounter();
+}
+
+/**
+* Put the enemy's attack and movement back to how they are at the start of a
+* run. Anything left over from the last run would throw replays of this one off.
+*/
+function resetEnemyState() {
+  enemyAttackState = {attack:0, timer:0, thinkTimer:0, thinkInterval:1, thinkInstance:0};
+  enemyMoveState = {destination:new Point(0, 0), speed:100, timer:0};
+}
+
+/**
+* Get the definition of the current level. Levels past the last one defined
+* repeat the last one, getting harder as the enemy's level goes up.
+* @returns {object} the level
+*/
+function currentLevel() {
+  return levels[Math.min(enemyStats.level, levels.length) - 1];
+}
+
+/**
+* Bring in the enemy for the current encounter of the level
+*/
+function startEncounter() {
+  let encounters = currentLevel().encounters;
+  enemyType = enemyTypes[encounters[enemyStats.encounter]];
+  let classes = ["enemy", enemyType.className].concat(styleClasses("enemy"));
+  if(enemy.sprite.src !== enemyType.sprite) {
+    renderer.removeSprite(enemy.sprite);
+    enemy.sprite = renderer.createSprite(enemyType.sprite, classes);
+  } else {
+    renderer.setSpriteClasses(enemy.sprite, classes);
+  }
+  enemy.teleport(ENEMY_START);
+  enemy.hitbox = enemyType.hitbox || HITBOXES.enemy;
+  enemy.resize(renderer.getSpriteSize(enemy.sprite));
+  enemyStats.maxHealth = Math.max(1, Math.round(levelValue(enemyType.health, 1)
+    * difficulty.enemyHealth));
+  enemyStats.health = enemyStats.maxHealth;
+  enemyStats.phase = 0;
+  enemyAttackState.thinkTimer = 0;
+  enemyAttackState.thinkInstance = 0;
+  enemyAttackState.timer = 0;
+  newEnemyDestination();
+  view.encounterStarted(enemyStats.encounter + 1, encounters.length);
+  view.updateEnemyStats();
+}
+
+/**
+* Update function for enemy, called frequently
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updateEnemy(dt) {
+  enemy.savePosition();
+  enemyMoveState.timer -= dt;
+  if(Point.distance(enemy.pos, enemyMoveState.destination) <= enemy.size.x
+    || enemyMoveState.timer <= 0) {
+    newEnemyDestination();
+  }
+  enemy.pos.add(enemyMoveState.destination.copy().subtract(enemy.pos).normalize()
+    .scale(dt * enemyMoveState.speed));
+  updateEnemyAttack(dt);
+}
+
+/**
+* Helper method to make the enemy choose a place to move to
+*/
+function newEnemyDestination() {
+  let movement = enemyType.movement;
+  enemyMoveState.destination = new Point(
+    rng.next() * (playAreaSize.x - enemy.size.x),
+    movement.minY + rng.next() * (movement.maxY - movement.minY));
+  enemyMoveState.timer = movement.retargetTime;
+}
+
+/**
+* Help handle enemy attack logic
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updateEnemyAttack(dt) {
+  enemyAttackState.timer -= dt;
+  if(enemyAttackState.timer <= 0) {
+    enemyEnterAttackState(randomPhaseAttack());
+  } else {
+    enemyAttackState.thinkTimer -= dt;
+    if(enemyAttackState.thinkTimer <= 0) {
+      enemyAttackState.thinkTimer += enemyAttackState.thinkInterval;
+      enemyAttackThink(enemyAttackState.thinkInstance);
+      enemyAttackState.thinkInstance++;
+    }
+  }
+}
+
+/**
+* Pick one of the attacks the enemy can use in its current phase
+* @returns {number} the index of the attack
+*/
+function randomPhaseAttack() {
+  let attacks = enemyType.phases[enemyStats.phase].attacks;
+  return attacks[Math.floor(rng.next() * attacks.length)];
+}
+
+/**
+* Function to make the enemy attack at discrete intervals. Each of the attack's
+* emitters fires if it's due on this instance.
+* @param {number} instance the nth occurence of this method being called in an attack
+*/
+function enemyAttackThink(instance) {
+  let emitters = enemyAttacks[enemyAttackState.attack].emitters;
+  for(let i = 0; i < emitters.length; i++) {
+    let every = emitters[i].every || 1;
+    let offset = emitters[i].offset || 0;
+    if(instance % every === offset) {
+      EMITTERS[emitters[i].type](emitters[i], enemy.getCenter(), instance);
+    }
+  }
+}
+
+/**
+* Work out a number from an attack definition. Numbers can either be given
+* as is, or as {base, perLevel} to scale with the enemy's level.
+* @param {object} value the number or formula
+* @param {number} fallback what to use if the value wasn't given
+* @returns {number} the value at the current level
+*/
+function levelValue(value, fallback) {
+  if(value === undefined) {
+    return fallback;
+  }
+  if(typeof value === "number") {
+    return value;
+  }
+  return (value.base || 0) + (value.perLevel || 0) * enemyStats.level;
+}
+
+/**
+* Work out how many bullets an emitter fires at once on this difficulty
+* @param {object} emitter the emitter's definition
+* @returns {number} the number of bullets, at least 1
+*/
+function emitterCount(emitter) {
+  return Math.max(1, Math.round(levelValue(emitter.count, 1) * difficulty.bulletCount));
+}
+
+/**
+* Get the direction from an emitter to the player
+* @param {object} emitter the emitter doing the aiming, which may turn the aim
+* by its angle in degrees
+* @param {Point} origin where the emitter is firing from
+* @returns {Point} the direction as a unit vector
+*/
+function aimAtPlayer(emitter, origin) {
+  let angle = levelValue(emitter.angle, 0) * Math.PI / 180;
+  return player.getCenter().subtract(origin).normalize().rotate(angle);
+}
+
+/**
+* Get the behavior an emitter's bullets should follow
+* @param {object} emitter the emitter's definition
+* @returns {BulletBehavior} the behavior, or null if the bullets just fly
+*/
+function emitterBehavior(emitter) {
+  if(emitter.behavior === undefined) {
+    return null;
+  }
+  return bulletBehaviors[emitter.behavior];
+}
+
+/**
+* Fire a row of bullets in from one side of the play area, spaced out evenly
+* and shifted together by a random amount
+* @param {object} emitter the emitter's definition
+* @param {Point} origin where the emitter is firing from, which walls ignore
+* @param {number} instance how many times the attack has fired before
+*/
+function emitWall(emitter, origin, instance) {
+  let count = emitterCount(emitter);
+  let jitter = levelValue(emitter.jitter, 0);
+  let inset = levelValue(emitter.inset, 0);
+  let speed = levelValue(emitter.speed, 0);
+  let accel = levelValue(emitter.accel, 0);
+  let randomOffset = rng.next() * 2 * jitter - jitter;
+  let vertical = emitter.side === "left" || emitter.side === "right";
+  let length = vertical ? playAreaSize.y : playAreaSize.x;
+  let dir = new Point(0, 0);
+  let start = new Point(0, 0);
+  if(emitter.side === "left") {
+    dir.x = 1;
+    start.x = inset;
+  } else if(emitter.side === "right") {
+    dir.x = -1;
+    start.x = playAreaSize.x - inset;
+  } else if(emitter.side === "top") {
+    dir.y = 1;
+    start.y = inset;
+  } else {
+    dir.y = -1;
+    start.y = playAreaSize.y - inset;
+  }
+  for(let i = 0; i < count; i++) {
+    let along = (i / count * length) + randomOffset;
+    let pos = start.copy().add(vertical ? new Point(0, along) : new Point(along, 0));
+    spawnBullet(false, pos, dir.copy().scale(speed), dir.copy().scale(accel),
+      emitterBehavior(emitter));
+  }
+}
+
+/**
+* Fire a fan of bullets towards the player. The bigger the focus, the tighter
+* the fan.
+* @param {object} emitter the emitter's definition
+* @param {Point} origin where the emitter is firing from
+* @param {number} instance how many times the attack has fired before
+*/
+function emitFan(emitter, origin, instance) {
+  let count = emitterCount(emitter);
+  let focus = levelValue(emitter.focus, 1);
+  let speed = levelValue(emitter.speed, 0);
+  let accel = levelValue(emitter.accel, 0);
+  let delta = aimAtPlayer(emitter, origin);
+  for(let i = -count / 2; i < count / 2; i++) {
+    let dir = delta.copy().scale(focus).add(new Point(i, 0)).normalize();
+    spawnBullet(false, origin.copy(), dir.copy().scale(speed), dir.copy().scale(accel),
+      emitterBehavior(emitter));
+  }
+}
+
+/**
+* Fire bullets in random directions
+* @param {object} emitter the emitter's definition
+* @param {Point} origin where the emitter is firing from
+* @param {number} instance how many times the attack has fired before
+*/
+function emitBurst(emitter, origin, instance) {
+  let count = emitterCount(emitter);
+  let speed = levelValue(emitter.speed, 0);
+  let accel = levelValue(emitter.accel, 0);
+  for(let i = 0; i < count; i++) {
+    let dir = (new Point(rng.next() - 0.5, rng.next() - 0.5)).normalize();
+    spawnBullet(false, origin.copy(), dir.copy().scale(speed), dir.copy().scale(accel),
+      emitterBehavior(emitter));
+  }
+}
+
+/**
+* Fire bullets towards the player, each one getting pulled off course by a
+* random acceleration
+* @param {object} emitter the emitter's definition
+* @param {Point} origin where the emitter is firing from
+* @param {number} instance how many times the attack has fired before
+*/
+function emitScatter(emitter, origin, instance) {
+  let count = emitterCount(emitter);
+  let speed = levelValue(emitter.speed, 0);
+  let randomAccel = levelValue(emitter.randomAccel, 0);
+  let delta = aimAtPlayer(emitter, origin);
+  for(let i = 0; i < count; i++) {
+    let randomDir = (new Point(rng.next() - 0.5, rng.next() - 0.5)).normalize();
+    spawnBullet(false, origin.copy(), delta.copy().scale(speed),
+      randomDir.copy().scale(rng.next() * randomAccel), emitterBehavior(emitter));
+  }
+}
+
+/**
+* Fire bullets evenly spaced all the way around. The ring starts at the
+* emitter's angle in degrees and turns by its angleStep every time the attack
+* fires again.
+* @param {object} emitter the emitter's definition
+* @param {Point} origin where the emitter is firing from
+* @param {number} instance how many times the attack has fired before
+*/
+function emitRing(emitter, origin, instance) {
+  let count = emitterCount(emitter);
+  let speed = levelValue(emitter.speed, 0);
+  let accel = levelValue(emitter.accel, 0);
+  let angle = levelValue(emitter.angle, 0) + instance * levelValue(emitter.angleStep, 0);
+  for(let i = 0; i < count; i++) {
+    let dir = new Point(1, 0).rotate((angle + i * 360 / count) * Math.PI / 180);
+    spawnBullet(false, origin.copy(), dir.copy().scale(speed), dir.copy().scale(accel),
+      emitterBehavior(emitter));
+  }
+}
+
+/**
+* Makes the enemy enter an attack state
+* @param {number} state the index of the attack to start
+*/
+function enemyEnterAttackState(state) {
+  let attack = enemyAttacks[state];
+  enemyAttackState.attack = state;
+  enemyAttackState.thinkInstance = 0;
+  enemyAttackState.thinkTimer = 0;
+  enemyAttackState.timer = levelValue(attack.duration, 1);
+  enemyAttackState.thinkInterval = levelValue(attack.thinkInterval, 1);
+  enemyMoveState.speed = levelValue(attack.moveSpeed, 100) * enemyType.movement.speedScale;
+}
+
+/**
+* Handle enemy being hit by a bullet
+* @param {Bullet} bullet the bullet that hit the enemy
+*/
+function enemyHit(bullet) {
+  view.enemyHit(bullet.getCenter());
+  enemyStats.health -= bullet.damage;
+  damageSinceDrop += bullet.damage;
+  if(damageSinceDrop >= POWER_DROP_DAMAGE) {
+    damageSinceDrop -= POWER_DROP_DAMAGE;
+    dropPowerItems(enemy.getCenter(), 1);
+  }
+  playerStats.combo++;
+  playerStats.comboTimer = COMBO_HOLD_TIME;
+  addScore(HIT_SCORE * bullet.damage);
+  view.updatePlayerStats();
+  if(enemyStats.health <= 0 && roundState === ROUND_STATE.play) {
+    enemyDefeated();
+  } else {
+    updateEnemyPhase();
+  }
+  view.updateEnemyStats();
+}
+
+/**
+* Move on to the next encounter, or end the round if that was the last one
+*/
+function enemyDefeated() {
+  view.enemyDefeated(enemy.getCenter());
+  dropPowerItems(enemy.getCenter(), POWER_DEFEAT_DROPS);
+  enemyStats.encounter++;
+  if(enemyStats.encounter < currentLevel().encounters.length) {
+    clearBullets();
+    startEncounter();
+  } else {
+    roundEnd();
+  }
+}
+
+/**
+* Check if the enemy has been worn down enough to enter its next phase, and
+* switch up its attack right away if it has
+*/
+function updateEnemyPhase() {
+  let fraction = enemyStats.health / enemyStats.maxHealth;
+  let phases = enemyType.phases;
+  let phase = enemyStats.phase;
+  while(phase + 1 < phases.length && fraction <= phases[phase + 1].threshold) {
+    phase++;
+  }
+  if(phase !== enemyStats.phase) {
+    enemyStats.phase = phase;
+    enemyEnterAttackState(randomPhaseAttack());
+  }
+}
+
+//EVERYTHING BULLETS
+/**
+* Update all bullets with respect to time
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updateBullets(dt) {
+  moveBullets(playerBullets, dt, playerBulletWorld);
+  fillGrid(playerBulletGrid, playerBullets, bullet => bullet.radius);
+  let center = enemy.getCenter();
+  let nearby = playerBulletGrid.query(center, enemy.radius);
+  //the last hit of an encounter clears away the rest, and the last hit of a
+  //round ends it, so nothing else lands during the break
+  for(let i = 0; i < nearby.length && roundState === ROUND_STATE.play; i++) {
+    let entry = nearby[i];
+    if(entry.alive
+      && Point.circlesOverlap(center, enemy.radius, entry.getCenter(), entry.radius)) {
+      destroyBullet(entry);
+      enemyHit(entry);
+    }
+  }
+  compactBullets(playerBullets);
+  moveBullets(enemyBullets, dt, bulletWorld);
+  //bullets are put in every cell they could graze the player from
+  fillGrid(enemyBulletGrid, enemyBullets, bullet => bullet.radius + GRAZE_DISTANCE);
+  nearby = enemyBulletGrid.query(player.getCenter(), player.radius);
+  for(let i = 0; i < nearby.length && roundState === ROUND_STATE.play; i++) {
+    let entry = nearby[i];
+    if(playerStats.invulnTimer > 0) {
+      break;
+    } else if(!entry.alive) {
+      continue;
+    } else if(playerHitBy(entry)) {
+      //collision with player
+      destroyBullet(entry);
+      playerDeath();
+    } else if(!entry.grazed && playerGrazedBy(entry)) {
+      entry.grazed = true;
+      playerGraze(entry);
+    }
+  }
+  updateDeathWave(dt);
+  compactBullets(enemyBullets);
+}
+
+/**
+* Spread the wave from the player's death, clearing the enemy bullets it
+* reaches. Bullets only count as reached once their middle is inside the wave.
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updateDeathWave(dt) {
+  if(deathWave === null) {
+    return;
+  }
+  deathWave.radius = Math.min(deathWave.radius + DEATH_WAVE_SPEED * dt, DEATH_WAVE_RADIUS);
+  let nearby = enemyBulletGrid.query(deathWave.center, deathWave.radius);
+  for(let i = 0; i < nearby.length; i++) {
+    if(nearby[i].alive
+      && Point.circlesOverlap(deathWave.center, deathWave.radius, nearby[i].getCenter(), 0)) {
+      destroyBullet(nearby[i]);
+    }
+  }
+  if(deathWave.radius >= DEATH_WAVE_RADIUS) {
+    deathWave = null;
+  }
+}
+
+/**
+* Move each bullet in a list, destroying the ones that leave the play area
+* @param {list} bullets the bullets to move
+* @param {number} dt the amount of time passed since this was last called
+* @param {object} world what the bullets' behaviors can see and do
+*/
+function moveBullets(bullets, dt, world) {
+  //bullets can fire more bullets as they go, which get moved right away too
+  for(let i = 0; i < bullets.length; i++) {
+    let entry = bullets[i];
+    entry.updateKinematics(dt, world);
+    if(entry.alive && !isInParent(entry)) {
+      destroyBullet(entry);
+    }
+  }
+}
+
+/**
+* Put the live bullets from a list into a collision grid, in place of whatever
+* was in it before
+* @param {CollisionGrid} grid the grid to fill
+* @param {list} bullets the bullets to add
+* @param {function} reach gives how far from its center a bullet should count
+*/
+function fillGrid(grid, bullets, reach) {
+  grid.clear();
+  for(let i = 0; i < bullets.length; i++) {
+    if(bullets[i].alive) {
+      grid.insert(bullets[i], bullets[i].getCenter(), reach(bullets[i]));
+    }
+  }
+}
+
+/**
+* Check if an enemy bullet has hit the player. Only the player's small hitbox
+* counts.
+* @param {Bullet} bullet the bullet to check
+* @returns {boolean} whether the player was hit
+*/
+function playerHitBy(bullet) {
+  return Point.circlesOverlap(player.getCenter(), player.radius, bullet.getCenter(),
+    bullet.radius);
+}
+
+/**
+* Check if an enemy bullet is passing close enough to the player to graze
+* @param {Bullet} bullet the bullet to check
+* @returns {boolean} whether the bullet is grazing the player
+*/
+function playerGrazedBy(bullet) {
+  return Point.circlesOverlap(player.getCenter(), player.radius, bullet.getCenter(),
+    bullet.radius + GRAZE_DISTANCE);
+}
+
+/**
+* Get every hitbox in the play area as it stands after the last step, for
+* seeing what collision checks are working with
+* @returns {list} the hitboxes, each with its center and radius
+*/
+export function hitboxes() {
+  let boxes = [{center:player.getCenter(), radius:player.radius}];
+  boxes.push({center:enemy.getCenter(), radius:enemy.radius});
+  for(let i = 0; i < playerBullets.length; i++) {
+    boxes.push({center:playerBullets[i].getCenter(), radius:playerBullets[i].radius});
+  }
+  for(let i = 0; i < enemyBullets.length; i++) {
+    boxes.push({center:enemyBullets[i].getCenter(), radius:enemyBullets[i].radius});
+  }
+  return boxes;
+}
+
+/**
+* Squeeze the destroyed bullets out of a list of bullets, keeping the order of
+* the rest, and give them back to their pools. Doing this once after going
+* through the list saves having to search for and splice out each bullet as
+* it's destroyed.
+* @param {list} bullets the list to compact
+*/
+function compactBullets(bullets) {
+  let live = 0;
+  for(let i = 0; i < bullets.length; i++) {
+    if(bullets[i].alive) {
+      bullets[live] = bullets[i];
+      live++;
+    } else {
+      bullets[i].pool.reclaim(bullets[i]);
+    }
+  }
+  bullets.length = live;
+}
+
+//power items
+/**
+* Throw power items out of a point, spread out side to side
+* @param {Point} center where the items come from
+* @param {number} count how many items to drop
+*/
+function dropPowerItems(center, count) {
+  for(let i = 0; i < count; i++) {
+    let sprite = renderer.createSprite(SPRITES.powerItem, ["power-item"]);
+    let item = new Entity(sprite, new Point(0, 0), renderer.getSpriteSize(sprite),
+      HITBOXES.powerItem);
+    item.centerOn(center);
+    let spread = count > 1 ? (i / (count - 1) * 2 - 1) : 0;
+    item.vel = new Point(POWER_ITEM_POP.x * spread, POWER_ITEM_POP.y);
+    powerItems.push(item);
+  }
+}
+
+/**
+* Move the power items along, letting the player pick up the ones close by and
+* getting rid of the ones that fall off the bottom
+* @param {number} dt the amount of time passed since this was last called
+*/
+function updatePowerItems(dt) {
+  let kept = [];
+  for(let i = 0; i < powerItems.length; i++) {
+    let item = powerItems[i];
+    item.savePosition();
+    item.vel.y = Math.min(item.vel.y + POWER_ITEM_GRAVITY * dt, POWER_ITEM_MAX_FALL);
+    //the sideways pop wears off as they fall
+    item.vel.x -= item.vel.x * Math.min(dt * 2, 1);
+    item.pos.add(item.vel.copy().scale(dt));
+    if(Point.circlesOverlap(player.getCenter(), POWER_ITEM_PICKUP_DISTANCE, item.getCenter(),
+      item.radius)) {
+      collectPowerItem();
+      renderer.removeSprite(item.sprite);
+    } else if(item.pos.y > playAreaSize.y) {
+      renderer.removeSprite(item.sprite);
+    } else {
+      kept.push(item);
+    }
+  }
+  powerItems = kept;
+}
+
+/**
+* Give the player the power from an item
+*/
+function collectPowerItem() {
+  playerStats.power = Math.min(playerStats.power + 1, POWER_PER_LEVEL * MAX_POWER_LEVEL);
+  addScore(POWER_ITEM_SCORE);
+  view.updatePlayerStats();
+}
+
+/**
+* Take every power item off of the play area
+*/
+function clearPowerItems() {
+  for(let i = 0; i < powerItems.length; i++) {
+    renderer.removeSprite(powerItems[i].sprite);
+  }
+  powerItems = [];
+}
+
+/**
+* Create a bullet on the play area
+* @param {boolean} player whether or not this was created by a player
+* @param {Point} pos where the middle of the bullet goes
+* @param {Point} vel the velocity of the bullet
+* @param {Point} accel the acceleration of the bullet
+* @param {BulletBehavior} behavior the script for the bullet to follow, or null
+* @returns {Bullet} the bullet created, or null if there are too many bullets out
+*/
+function spawnBullet(player, pos, vel, accel, behavior) {
+  let classes = [];
+  if(player) {
+    classes = ["player-bullet"].concat(styleClasses("playerBullet"));
+  } else {
+    classes = ["enemy-bullet"].concat(styleClasses("enemyBullet"));
+    let speed = styleEffects.enemyBulletSpeed * difficulty.bulletSpeed;
+    vel.scale(speed);
+    accel.scale(speed);
+  }
+  let pool = player ? bulletPools.player : bulletPools.enemy;
+  let bullet = pool.acquire(classes, pos, vel, accel, behavior || null);
+  if(bullet === null) {
+    //past the limit, the bullet just doesn't get fired
+    return null;
+  }
+  bullet.centerOn(pos);
+  if(player) {
+    playerBullets.push(bullet);
+  } else {
+    enemyBullets.push(bullet);
+  }
+  return bullet; //for debugging purposes
+}
+
+/**
+* Removes a bullet from the play area. It stays in its list until the list
+* gets compacted.
+* @param {Bullet} bullet the bullet to destroy
+*/
+function destroyBullet(bullet) {
+  bullet.pool.release(bullet);
+}
+
+/**
+* Destroy all bullets on the play area
+*/
+function clearBullets() {
+  deathWave = null;
+  let lists = [playerBullets, enemyBullets];
+  for(let i = 0; i < lists.length; i++) {
+    for(let j = 0; j < lists[i].length; j++) {
+      let bullet = lists[i][j];
+      if(bullet.alive) {
+        bullet.pool.release(bullet);
+      }
+      bullet.pool.reclaim(bullet);
+    }
+    lists[i].length = 0;
+  }
+}
+
+/**
+* Keep an entity's coordinates constrained within the play area
+* @param {Entity} entity the entity to constrain
+*/
+function clampToParent(entity) {
+  let pos = entity.pos;
+  if(pos.x < 0) {
+    pos.x = 0;
+  }
+  if(pos.x > playAreaSize.x - entity.size.x) {
+    pos.x = playAreaSize.x - entity.size.x;
+  }
+  if(pos.y < 0) {
+    pos.y = 0;
+  }
+  if(pos.y > playAreaSize.y - entity.size.y) {
+    pos.y = playAreaSize.y - entity.size.y;
+  }
+}
+
+/**
+* Check whether an entity is inside the play area
+* @param {Entity} entity the entity to check for
+* @returns {boolean} the result of the check
+*/
+function isInParent(entity) {
+  let pos = entity.pos;
+  return pos.x >= 0 && pos.x <= playAreaSize.x - entity.size.x
+    && pos.y >= 0 && pos.y <= playAreaSize.y - entity.size.y;
+}
+
+/**
+* Find out the size of the play area and forget how sprites look. Styles only get
+* applied between rounds, so this only needs to happen then.
+*/
+function measurePlayArea() {
+  playAreaSize = view.measurePlayArea();
+  renderer.reset(playAreaSize);
+  playerBulletGrid.resize(playAreaSize);
+  enemyBulletGrid.resize(playAreaSize);
+}
+
+/**
+* Helper method to remove a random element from a list, with some elements
+* more likely to be picked than others
+* @param {list} list the list to remove from
+* @param {function} weight gives how likely an element is to be picked
+* @returns {undefined} the randomly removed element of the list
+*/
+function removeWeightedRandom(list, weight) {
+  let total = 0;
+  for(let i = 0; i < list.length; i++) {
+    total += weight(list[i]);
+  }
+  let roll = rng.next() * total;
+  let ind = 0;
+  while(ind < list.length - 1 && roll >= weight(list[ind])) {
+    roll -= weight(list[ind]);
+    ind++;
+  }
+  let selected = list[ind];
+  list.splice(ind, 1);
+  return selected;
+}
@@ -0,0 +1,40 @@
+/*
+This keeps things around between visits in local storage. Storage can be
+missing, disabled or full, and what's in it can be corrupted or left over from
+an older version of the game, so none of that is ever treated as an error: what
+can't be read falls back to a default, and what can't be written just doesn't
+persist. It is used by main.js, audio.js and bindings.js
+*/
+
+/**
+* Read something saved as JSON
+* @param {string} key the name it's saved under
+* @param {function} validate takes what was saved, null if nothing was, and
+* gives back what to use, or null if none of it is usable
+* @param {*} fallback what to use if nothing usable was saved
+* @returns {*} what was saved, as validate makes it, or the fallback
+*/
+export function loadJSON(key, validate, fallback) {
+  try {
+    let loaded = validate(JSON.parse(window.localStorage.getItem(key)));
+    if(loaded !== null) {
+      return loaded;
+    }
+  } catch(e) {
+    //fall back below
+  }
+  return fallback;
+}
+
+/**
+* Save something as JSON, if we are allowed to
+* @param {string} key the name to save it under
+* @param {*} value what to save
+*/
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch(e) {
+    //it just won't persist
+  }
+}
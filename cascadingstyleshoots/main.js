@@ -2,826 +2,1413 @@
 Michael Yang
 4/18/19
 
-This is the JS script that makes the bullet hell work. It is used by index.html
+This is the JS script that puts the bullet hell on the page. It is used by
+index.html, and the game itself is run by the modules in js/
 */
 
-(function() {
-  "use strict";
+import {Point} from "./js/point.js";
+import {DomRenderer, CanvasRenderer} from "./js/renderers.js";
+import {parseGameData, validateReplay} from "./js/data.js";
+import {readGamepad} from "./js/gamepad.js";
+import {Effects} from "./js/effects.js";
+import {customStyleSheet} from "./js/customstyles.js";
+import {loadJSON, saveJSON} from "./js/storage.js";
+import {
+  loadAudioSettings, saveAudioSettings, setAudioSettings, volumeOf, resumeAudio, playSound
+} from "./js/audio.js";
+import {
+  ACTIONS, BINDING_SLOTS, DEBUG_KEY, defaultBindings, loadBindings, saveBindings, findAction,
+  describeKey
+} from "./js/bindings.js";
+import {
+  ROUND_STATE, REPLAY_MODE, REPLAY_VERSION, TIMESTEP, SPRITES, keysPressed, analogMove,
+  playerStats, enemyStats, player, enemy, playerBullets, enemyBullets, roundState, enemyType,
+  replay, customStyles, runOptions, DIFFICULTIES, MAX_EXTRA_INVULN_TIME, CUSTOM_STYLE_BUDGET,
+  FOCUS_SCORE_MULTIPLIER, setGameData, setView,
+  attachRenderer, detachRenderer, step, startRun, resetGame, pauseGame, resumeGame, togglePause,
+  selectBonus, rerollBonus, applyCustomStyle, customStyleSpend, playReplayBonus, appliedStyles,
+  styleClasses, comboMultiplier, playerBulletGrid, enemyBulletGrid, hitboxes, DEATH_WAVE_SPEED,
+  DEATH_WAVE_RADIUS, SHOT_TYPES, MAX_POWER_LEVEL, powerItems, powerLevel
+} from "./js/simulation.js";
 
-  class Point {
-    /**
-    * Construct a point
-    * @param {x} x the x coordinate
-    * @param {y} y the y coordinate
-    */
-    constructor(x, y) {
-      this.x = x;
-      this.y = y;
-    }
+const MAX_FRAME_TIME = 0.25;
+const ATTACKS_FILE = "data/attacks.json";
+const ENEMIES_FILE = "data/enemies.json";
+const HIGH_SCORE_KEY = "cascadingstyleshoots-highscores";
+const HIGH_SCORE_COUNT = 10;
+const OPTIONS_KEY = "cascadingstyleshoots-options";
+const DEFAULT_OPTIONS = {difficulty:"normal", shotType:"spread", gameSpeed:1, showHitbox:false,
+  focusHitbox:true, extraInvulnTime:0, motion:"auto"};
+//auto goes along with what the player's system asks for
+const MOTION_SETTINGS = ["auto", "full", "reduced"];
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+const HIT_SPARKS = {count:4, speed:150, life:0.25, size:1.5, colors:["#FFFFFF", "#FFDD55"]};
+const DEATH_EXPLOSION = {count:60, speed:300, life:0.8, size:2,
+  colors:["#FFFFFF", "#FF5555", "#FFAA33"]};
+const DEFEAT_EXPLOSION = {count:120, speed:400, life:1.2, size:3,
+  colors:["#FFFFFF", "#FFDD55", "#FF8833", "#FF3333"]};
+const MIN_GAME_SPEED = 0.5;
+//how far behind the finger the player has to be to move at full speed
+const TOUCH_FULL_SPEED_DISTANCE = 15;
+//matches how finely controller sticks are kept, so replays stay small
+const TOUCH_PRECISION = 100;
+let prevTimestamp = 0;
+let timeAccumulator = 0;
+let playArea = {};
+let renderer = null;
+let rendererKind = "dom";
+let bindings = {};
+let heldKeys = [];
+let rebinding = null;
+let settingsReturnPanels = [];
+let gamepadIndex = null;
+let gamepadState = null;
+let gameScale = 1;
+let options = Object.assign({}, DEFAULT_OPTIONS);
+let showDebug = false;
+let audioSettings = {};
+let effects = new Effects();
+let touchState = {id:null, start:null, current:null, playerStart:null, focus:false, bomb:false};
 
-    /**
-    * Make a copy of a point
-    * @returns {Point} the copy of the point
-    */
-    copy() {
-      return new Point(this.x, this.y);
-    }
+window.addEventListener("load", init);
+window.addEventListener("keydown", keyPress);
+window.addEventListener("keyup", keyUp);
+window.addEventListener("blur", windowBlur);
+window.addEventListener("gamepadconnected", gamepadConnected);
+window.addEventListener("gamepaddisconnected", gamepadDisconnected);
+window.addEventListener("resize", fitGameWindow);
 
-    /**
-    * Add a point to this point
-    * @param {Point} point the point to add with
-    * @returns {Point} this point
-    */
-    add(point) {
-      this.x += point.x;
-      this.y += point.y;
-      return this;
+/**
+* Initialization function, run when document loads.
+*/
+function init() {
+  let startButton = document.querySelector("#start button");
+  startButton.addEventListener("click", gameStart);
+  startButton.disabled = true;
+  let replayInput = document.getElementById("replay-file");
+  replayInput.addEventListener("change", loadReplay);
+  //like starting a game, watching a replay needs the game data
+  replayInput.disabled = true;
+  loadGameData();
+  let continueButton = document.querySelector("#bonus-select button");
+  continueButton.addEventListener("click", confirmBonus);
+  document.getElementById("reroll").addEventListener("click", rerollBonus);
+  document.getElementById("custom-style").addEventListener("input", customStyleChanged);
+  let playAgainButton = document.querySelector("#game-over button");
+  playAgainButton.addEventListener("click", playAgain);
+  let resumeButton = document.querySelector("#pause button");
+  resumeButton.addEventListener("click", resumeGame);
+  let saveReplayButton = document.querySelector("#replay button");
+  saveReplayButton.addEventListener("click", saveReplay);
+  saveReplayButton.disabled = true;
+  options = loadOptions();
+  displayOptions();
+  applyMotionSetting();
+  if(window.matchMedia) {
+    window.matchMedia(REDUCED_MOTION_QUERY).addEventListener("change", applyMotionSetting);
+  }
+  let optionInputs = document.querySelectorAll("#start .option");
+  for(let i = 0; i < optionInputs.length; i++) {
+    optionInputs[i].addEventListener("input", optionsChanged);
+  }
+  let settingsButtons = document.querySelectorAll(".open-settings");
+  for(let i = 0; i < settingsButtons.length; i++) {
+    settingsButtons[i].addEventListener("click", openSettings);
+  }
+  document.getElementById("reset-bindings").addEventListener("click", resetBindings);
+  audioSettings = loadAudioSettings();
+  displayAudioSettings();
+  applyAudioSettings();
+  let audioInputs = document.querySelectorAll("#sound input");
+  for(let i = 0; i < audioInputs.length; i++) {
+    audioInputs[i].addEventListener("input", audioSettingsChanged);
+  }
+  document.getElementById("close-settings").addEventListener("click", closeSettings);
+  bindings = loadBindings();
+  displayBindings();
+  document.addEventListener("visibilitychange", () => {
+    if(document.hidden) {
+      pauseGame();
     }
+  });
+  displayHighScores(-1);
 
-    /**
-    * Subtract a point from this point
-    * @param {Point} point the point to subtract
-    * @returns {Point} this point
-    */
-    subtract(point) {
-      this.x -= point.x;
-      this.y -= point.y;
-      return this;
-    }
+  preloadImages(Object.values(SPRITES));
 
-    /**
-    * Multiply this point with a scalar
-    * @param {number} mult the number to multiply by
-    * @returns {Point} this point
-    */
-    scale(mult) {
-      this.x *= mult;
-      this.y *= mult;
-      return this;
-    }
+  playArea = document.getElementById("play-area");
+  playArea.addEventListener("touchstart", touchStart, {passive:false});
+  playArea.addEventListener("touchmove", touchMove, {passive:false});
+  playArea.addEventListener("touchend", touchEnd);
+  playArea.addEventListener("touchcancel", touchEnd);
+  document.getElementById("touch-focus").addEventListener("click", toggleTouchFocus);
+  let touchBomb = document.getElementById("touch-bomb");
+  touchBomb.addEventListener("touchstart", touchBombPress, {passive:false});
+  touchBomb.addEventListener("touchend", touchBombRelease);
+  touchBomb.addEventListener("touchcancel", touchBombRelease);
+  document.getElementById("touch-pause").addEventListener("click", pauseGame);
+  fitGameWindow();
+  setView({
+    measurePlayArea:measurePlayArea,
+    roundStarted:roundStarted,
+    roundEnded:roundEnded,
+    bonusSelected:bonusSelected,
+    bonusRerolled:displayBonusChoices,
+    roundCleared:roundCleared,
+    gameEnded:gameEnded,
+    gameReset:gameReset,
+    pauseChanged:pauseChanged,
+    bombUsed:bombUsed,
+    playerShot:playerShot,
+    playerDied:playerDied,
+    playerGrazed:playerGrazed,
+    enemyHit:enemyHit,
+    enemyDefeated:enemyDefeated,
+    updatePlayerStats:updatePlayerStats,
+    updateEnemyStats:updateEnemyStats,
+    encounterStarted:encounterStarted,
+    replayFailed:replayFailed
+  });
+  setRenderer("dom");
+  prevTimestamp = performance.now();
+  update(prevTimestamp);
+}
 
-    /**
-    * Get the length of this point from the origin
-    * @returns {number} the length
-    */
-    length() {
-      return Math.sqrt(this.x * this.x + this.y * this.y);
-    }
+/**
+* Fetch the enemies, levels and attack patterns, letting the game be started
+* once they're in.
+*/
+function loadGameData() {
+  Promise.all([fetchJSON(ATTACKS_FILE), fetchJSON(ENEMIES_FILE)])
+    .then(results => {
+      let gameData = parseGameData(results[0], results[1]);
+      setGameData(gameData);
+      preloadImages(Object.values(gameData.enemies).map(type => type.sprite));
+      document.querySelector("#start button").disabled = false;
+      document.getElementById("replay-file").disabled = false;
+    })
+    .catch(handleLoadError);
+}
 
-    /**
-    * Set the length of this point to 0
-    * @returns {Point} this point
-    */
-    normalize() {
-      //this double equals is intentional
-      if(!this.length == 0) {
-        this.scale(1/this.length());
-      }
-      return this;
-    }
+/**
+* Get images loaded so they have a size by the time we measure them
+* @param {list} sources the images to load
+*/
+function preloadImages(sources) {
+  for(let i = 0; i < sources.length; i++) {
+    new Image().src = sources[i];
+  }
+}
 
-    /**
-    * Convert the relative position style coordinates to a point
-    * @param {CSSStyleDeclaration} style the style of the element
-    * @returns {Point} the equivalent point
-    */
-    static styleToPoint(style) {
-      //init
-      if(style.left === "" || style.top === "") {
-        return new Point(0, 0);
-      }
-      let x = parseInt(style.left.substring(0, style.left.indexOf("px")));
-      let y = parseInt(style.top.substring(0, style.top.indexOf("px")));
-      return new Point(x, y);
-    }
+/**
+* Fetch and parse a JSON file
+* @param {string} url the file to fetch
+* @returns {Promise} a promise for the parsed contents
+*/
+function fetchJSON(url) {
+  return fetch(url)
+    .then(checkStatus)
+    .then(resp => resp.json());
+}
 
-    /**
-    * Set an element's positioning style based on a point
-    * @param {Point} point the position to use
-    * @param {CSSStyleDeclaration} style the style of the element to set
-    */
-    static pointToStyle(point, style) {
-      style.left = point.x + "px";
-      style.top = point.y + "px";
-    }
+/**
+* Helper function to pass a response along if it was successful, otherwise
+* reject with its error status
+* @param {Response} response response to check for success/error
+* @returns {object} the response if it was successful, otherwise a rejected Promise
+*/
+function checkStatus(response) {
+  if(response.status >= 200 && response.status < 300) {
+    return response;
+  } else {
+    return Promise.reject(new Error(response.status + ": " + response.statusText));
+  }
+}
 
-    /**
-    * Convert an element's screen dimensions to a point
-    * @param {DOMElement} element the element to query
-    * @return {Point} a representation of the object's dimensions
-    */
-    static dimensionsToPoint(element) {
-      return new Point(element.clientWidth, element.clientHeight);
-    }
+/**
+* Let the player know that the game couldn't be loaded
+* @param {Error} error what went wrong
+*/
+function handleLoadError(error) {
+  let message = document.createElement("P");
+  message.innerText = "Couldn't load the game: " + error.message;
+  document.getElementById("start").appendChild(message);
+}
 
-    /**
-    * Get the center of a dom element
-    * @param {DOMElement} element the element to query
-    * @return {Point} the element's center
-    */
-    static getCenter(element) {
-      return Point.styleToPoint(element.style)
-        .add(Point.dimensionsToPoint(element).scale(1/2));
-    }
+/**
+* Function to update everything in the play field, called very often. In fact,
+* it calls itself by passing itself as a callback for the window to call later.
+* The simulation is advanced in fixed steps of TIMESTEP so that it behaves the
+* same no matter how often the browser gets around to calling this.
+* @param {number} timestamp the system time in millis
+*/
+function update(timestamp) {
+  //update time, a long hitch shouldn't turn into a huge jump forward
+  let frameTime = Math.min((timestamp - prevTimestamp) / 1000, MAX_FRAME_TIME);
+  prevTimestamp = timestamp;
 
-    /**
-    * Get the distance between two points
-    * @param {Point} p1 first point
-    * @param {Point} p2 second point
-    * @return {number} the distance between them
-    */
-    static distance(p1, p2) {
-      let dx = p2.x - p1.x;
-      let dy = p2.y - p1.y;
-      return Math.sqrt(dx * dx + dy * dy);
+  pollGamepad();
+  if(touchState.id !== null) {
+    //the drag moves the player towards a point, which changes as the player moves
+    updateKeysPressed();
+  }
+  playReplayBonus();
+  if(roundState !== ROUND_STATE.paused) {
+    effects.update(frameTime * options.gameSpeed);
+  }
+  if(roundState === ROUND_STATE.play) {
+    timeAccumulator += frameTime * options.gameSpeed;
+    while(roundState === ROUND_STATE.play && timeAccumulator >= TIMESTEP) {
+      step(TIMESTEP);
+      timeAccumulator -= TIMESTEP;
     }
+  }
+  render(timeAccumulator / TIMESTEP);
 
-    /**
-    * Check if two circular elements are colliding
-    * @param {DOMElement} e1 the first element
-    * @param {DOMElement} e2 the second element
-    * @returns {boolean} whether or not the two circular elements are overlapping
-    */
-    static circleCollide(e1, e2) {
-      //assumes both elements are square
-      let pos1 = Point.getCenter(e1);
-      let pos2 = Point.getCenter(e2);
-      return Point.distance(pos1, pos2) <= (e1.firstChild.clientWidth
-        + e2.firstChild.clientWidth)/2;
-    }
+  window.requestAnimationFrame(update);
+}
 
-    /**
-    * Check if the center of an element is within a circular one
-    * @param {DOMElement} point the element that we want the center of
-    * @param {DOMElement} circle the circular element
-    * @returns {boolean} whether the first element is inside the second one
-    */
-    static centerInCircle(point, circle) {
-      let pos1 = Point.getCenter(point);
-      let pos2 = Point.getCenter(circle);
-      return Point.distance(pos1, pos2) <= circle.firstChild.clientWidth/2;
-    }
+/**
+* Handle start of game from the button press.
+*/
+function gameStart() {
+  let seedInput = document.getElementById("seed");
+  let seed = parseInt(seedInput.value);
+  if(isNaN(seed)) {
+    seed = Math.floor(Math.random() * 4294967296);
   }
+  beginRun(seed, REPLAY_MODE.record, [], {
+    difficulty:options.difficulty,
+    shotType:options.shotType,
+    extraInvulnTime:options.extraInvulnTime
+  });
+}
 
-  class Bullet {
-    /**
-    * Create a bullet
-    * @param {DOMElement} element the associated element to represent it on the screen
-    * @param {Point} pos the position of the bullet
-    * @param {Point} vel the velocity of the bullet
-    * @param {Point} accel the acceleration of the bullet
-    */
-    constructor(element, pos, vel, accel) {
-      this.element = element;
-      Point.pointToStyle(pos, element.style);
-      this.pos = pos;
-      this.vel = vel;
-      this.accel = accel;
-    }
+/**
+* Start a fresh run with the renderer chosen on the start screen
+* @param {number} seed the seed for everything random that happens in the run
+* @param {number} mode whether the run is being recorded or played back
+* @param {list} events the recorded input to play back, empty if recording
+* @param {object} settings the difficulty, shot type and extra invulnerability time to
+* play with
+*/
+function beginRun(seed, mode, events, settings) {
+  setRenderer(document.querySelector("#start input[name='renderer']:checked").value);
+  resumeAudio();
+  document.getElementById("music").play();
+  startRun(seed, mode, events, settings);
+}
 
-    /**
-    * Update movement of bullet
-    * @param {number} dt the amount of time passed since this was last called
-    */
-    updateKinematics(dt) {
-      let dr = this.vel.copy().scale(dt);
-      let dv = this.accel.copy().scale(dt);
-      this.pos.add(dr);
-      this.vel.add(dv);
-      Point.pointToStyle(this.pos, this.element.style);
-    }
+/**
+* Handle restarting the game from the game over screen.
+*/
+function playAgain() {
+  resetGame();
+  gameStart();
+}
+
+/**
+* Show how the game went, once the player has died with no lives left.
+*/
+function gameEnded() {
+  //watching a replay shouldn't put its score on the table a second time
+  displayHighScores(replay.mode === REPLAY_MODE.record ? recordHighScore() : -1);
+  document.getElementById("final-score").innerText = playerStats.score;
+  document.getElementById("final-level").innerText = enemyStats.level;
+  document.getElementById("final-seed").innerText = replay.seed;
+  document.querySelector("#replay button").disabled = false;
+  let displayList = document.querySelector("#game-over ul");
+  displayStyles(displayList);
+  if(displayList.children.length === 0) {
+    let li = document.createElement("LI");
+    li.innerText = "None";
+    displayList.appendChild(li);
   }
+  showPanels(["game-over", "high-scores", "replay"]);
+  document.getElementById("music").pause();
+}
 
-  const ROUND_STATE = {play:0, break:1};
-  const PLAYER_SPEED = {normal:300, focus:150};
-  const PLAYER_START = new Point(200, 400);
-  const PLAYER_INVULN_TIME = 3;
-  const PLAYER_SHOOT_INTERVAL = 0.2;
-  const PLAYER_SHOOT_COUNT = 5;
-  const PLAYER_SHOOT_SPEED = 400;
-  const ENEMY_HEALTH = {base:10, perLevel:50};
-  const ENEMY_START = new Point(200, 25);
-  const ENEMY_MIN_Y = 50;
-  const ENEMY_MAX_Y = 200;
-  let keysPressed = {w:false, a:false, s:false, d:false, space:false};
-  let playerStats = {lives:5, score:0, invulnTimer:0, shootTimer:0};
-  let enemyStats = {level:1, health:0};
-  let styleBonuses = {
-    enemyBulletShrink:{active:false, description:".enemy-bullet {width: 75%; height: 75%;}"},
-    enemyGrow:{active:false, description:"#enemy {width: 150%; height: 150%;}"},
-    playerBulletGrow:{active:false, description:".player-bullet {width: 200%; height: 200%;}"},
-    playAreaGrow:{active:false, description:"#play-area {width: 150%;}"},
-    playerBulletTransparent:{active:false, description:".player-bullet {opacity: 0.5;}"}
-  };
-  let currentStyleChoices = [{}, {}];
-  let prevTimestamp = 0;
-  let playArea = {}, player = {}, enemy = {};
-  let playerBullets = [];
-  let enemyBullets = [];
-  let roundState = ROUND_STATE.break;
-  let enemyAttackState = {attack:0, timer:0, thinkTimer:0, thinkInterval:1, thinkInstance:0};
-  let enemyMoveState = {destination:new Point(0, 0), speed:100, timer:0};
-
-  window.addEventListener("load", init);
-  window.addEventListener("keydown", keyPress);
-  window.addEventListener("keyup", keyUp);
-
-  /**
-  * Initialization function, run when document loads.
-  */
-  function init() {
-    let startButton = document.querySelector("#start button");
-    startButton.addEventListener("click", gameStart);
-    let continueButton = document.querySelector("#bonus-select button");
-    continueButton.addEventListener("click", selectBonus);
-
-    playArea = document.getElementById("play-area");
-    player = addPlayAreaElement("img/player.png");
-    player.id = "player";
-    enemy = addPlayAreaElement("img/enemy.png");
-    enemy.id = "enemy";
-    prevTimestamp = performance.now();
-    update(prevTimestamp);
-  }
-
-  /**
-  * Function to update everything in the play field, called very often. In fact,
-  * it calls itself by passing itself as a callback for the window to call later.
-  * @param {number} timestamp the system time in millis
-  */
-  function update(timestamp) {
-    //update time
-    let dt = (timestamp - prevTimestamp) / 1000;
-    prevTimestamp = timestamp;
-
-    if(roundState === ROUND_STATE.play) {
-      updatePlayer(dt);
-      updateEnemy(dt);
-      updateBullets(dt);
-    }
+/**
+* Take the styles and music back to how they were at the start of a fresh run.
+*/
+function gameReset() {
+  playArea.className = "";
+  document.getElementById("custom-styles").textContent = "";
+  document.querySelector("#applied-styles ul").innerHTML = "";
+  let music = document.getElementById("music");
+  music.currentTime = 0;
+  effects.clear();
+}
 
-    window.requestAnimationFrame(update);
+/**
+* Handle the window losing focus. We won't hear about keys being released
+* while we don't have focus, so forget about them and pause.
+*/
+function windowBlur() {
+  heldKeys = [];
+  touchState.id = null;
+  updateKeysPressed();
+  pauseGame();
+}
+
+/**
+* Handle the Continue button on the bonus select screen
+*/
+function confirmBonus() {
+  let choice = document.querySelector("#bonus-select input[name='bonus']:checked").value;
+  if(choice !== "custom") {
+    selectBonus(parseInt(choice));
+    return;
+  }
+  try {
+    applyCustomStyle(document.getElementById("custom-style").value);
+  } catch(e) {
+    document.getElementById("custom-style-status").innerText = e.message;
   }
+}
 
-  /**
-  * Handle start of game from the button press.
-  */
-  function gameStart() {
-    document.getElementById("music").play();
-    roundStart();
-  }
-
-  /**
-  * Handle the start of a round.
-  */
-  function roundStart() {
-    roundState = ROUND_STATE.play;
-    document.getElementById("interact").classList.add("hidden");
-    initPlayer();
-    initEnemy();
-    clearBullets();
-  }
-
-  /**
-  * Handles the end of a round.
-  */
-  function roundEnd() {
-    roundState = ROUND_STATE.break;
-    playerStats.lives++;
-    enemyStats.level++;
-    document.getElementById("interact").classList.remove("hidden");
-    document.getElementById("start").classList.add("hidden");
-    document.getElementById("bonus-select").classList.remove("hidden");
-    decideStyleBonusChoices();
-  }
-
-  /**
-  * Helper method to determine which upgrades have not been selected.
-  * @returns {list} list of unselected style upgrades
-  */
-  function getUnselectedStyles() {
-    let unselected = [];
-    let entries = Object.entries(styleBonuses);
-    for(let i = 0; i < entries.length; i++) {
-      if(!entries[i][1].active) { //i is current entry, 1 gives bonus object, 0 gives active
-        unselected.push(entries[i][1]);
-      }
+/**
+* Pick writing your own style once the player starts writing it
+*/
+function customStyleChanged() {
+  document.getElementById("bonus-custom").checked = true;
+  previewCustomStyle();
+}
+
+/**
+* Tell the player what the CSS they're writing would cost, or what's wrong
+* with it
+*/
+function previewCustomStyle() {
+  let text = document.getElementById("custom-style").value;
+  let status = "Budget: " + CUSTOM_STYLE_BUDGET + " points";
+  if(text.trim() !== "") {
+    try {
+      let spend = customStyleSpend(text);
+      status = "Costs " + spend + " of " + CUSTOM_STYLE_BUDGET + " points"
+        + (spend > CUSTOM_STYLE_BUDGET ? ", over budget" : "");
+    } catch(e) {
+      status = e.message;
     }
-    return unselected;
   }
+  document.getElementById("custom-style-status").innerText = status;
+}
+
+/**
+* Show the style the player picked in the list of applied styles, and apply it
+* to the page, the play area too if that's what it styles
+* @param {object} bonus the style bonus that was picked, or the CSS the player
+* wrote
+*/
+function bonusSelected(bonus) {
+  displayStyles(document.querySelector("#applied-styles ul"));
+  playArea.className = styleClasses("playArea").join(" ");
+  document.getElementById("custom-styles").textContent = customStyleSheet(customStyles);
+}
 
-  /**
-  * Confirms selected upgrade and applies it
-  */
-  function selectBonus() {
-    let choice = document.querySelector("#bonus-select input[name='bonus']:checked").value;
-    currentStyleChoices[choice - 1].active = true;
-    let displayList = document.querySelector("#applied-styles ul");
+/**
+* Fill in a list with the styles that have been applied so far
+* @param {HTMLElement} displayList the list to fill in
+*/
+function displayStyles(displayList) {
+  displayList.innerHTML = "";
+  let styles = appliedStyles();
+  for(let i = 0; i < styles.length; i++) {
     let li = document.createElement("LI");
-    li.innerText = currentStyleChoices[choice - 1].description;
+    li.innerText = describeStyle(styles[i]);
+    li.classList.toggle("curse", styles[i].curse);
     displayList.appendChild(li);
-    if(styleBonuses.playAreaGrow.active) {
-      playArea.classList.add("width-upgrade");
-    }
-    if(styleBonuses.enemyGrow.active) {
-      enemy.classList.add("enemy-downgrade");
-    }
-    roundStart();
-  }
-
-  /**
-  * Decides which two style bonuses to display to the player
-  */
-  function decideStyleBonusChoices() {
-    let unselected = getUnselectedStyles();
-    if(unselected.length >= 2) {
-      let labels = document.querySelectorAll("#bonus-select label");
-      for(let i = 0; i < 2; i++) {
-        currentStyleChoices[i] = removeRandom(unselected);
-        labels[i].textContent = currentStyleChoices[i].description;
-      }
-    } else {
-      roundStart();
+  }
+}
+
+/**
+* Get how to show a style to the player, with its tier if it has more than one
+* @param {object} style the style, from appliedStyles() or a bonus on offer
+* @returns {string} the style's description
+*/
+function describeStyle(style) {
+  let description = style.description;
+  if(style.maxTier > 1) {
+    description += " (tier " + style.tier + "/" + style.maxTier + ")";
+  }
+  if(style.curse) {
+    description = "Curse: " + description;
+  } else if(style.custom) {
+    description = "Yours: " + description;
+  }
+  return description;
+}
+
+/**
+* Get out of the way for a new round
+*/
+function roundStarted() {
+  timeAccumulator = 0;
+  showPanels([]);
+}
+
+/**
+* Bring up the bonus select screen at the end of a round
+* @param {list} choices the style bonuses to choose between
+*/
+function roundEnded(choices) {
+  showPanels(["bonus-select"]);
+  displayBonusChoices(choices);
+}
+
+/**
+* Show the style bonuses on offer, and how many rerolls are left. There's only
+* one to pick when every other style has been taken as far as it goes.
+* @param {list} choices the style bonuses to choose between
+*/
+function displayBonusChoices(choices) {
+  let labels = document.querySelectorAll("#bonus-select label");
+  for(let i = 0; i < 2; i++) {
+    let input = document.getElementById("bonus" + (i + 1));
+    input.classList.toggle("hidden", i >= choices.length);
+    labels[i].classList.toggle("hidden", i >= choices.length);
+    if(i < choices.length) {
+      labels[i].textContent = describeStyle(choices[i]);
+      labels[i].className = "rarity-" + choices[i].rarity;
+      labels[i].classList.toggle("curse", choices[i].curse);
     }
   }
+  document.getElementById("bonus1").checked = true;
+  previewCustomStyle();
+  let rerollButton = document.getElementById("reroll");
+  rerollButton.innerText = "Reroll (" + playerStats.rerolls + " left)";
+  rerollButton.disabled = playerStats.rerolls <= 0 || replay.mode === REPLAY_MODE.play;
+}
+
+/**
+* Show what clearing the round was worth
+* @param {object} clear how long the round took, the lives lost in it and the
+* points for each
+*/
+function roundCleared(clear) {
+  let lives = clear.livesLost === 0 ? "no lives" : clear.livesLost
+    + (clear.livesLost === 1 ? " life" : " lives");
+  document.getElementById("round-clear").innerText = "Cleared in "
+    + clear.seconds.toFixed(1) + "s losing " + lives + ": +" + clear.time
+    + " for time, +" + clear.lives + " for lives.";
+  playSound("roundEnd");
+}
+
+/**
+* Flash the play area when a bomb goes off
+* @param {Point} center where the bomb went off
+* @param {number} radius how far out it cleared bullets
+*/
+function bombUsed(center, radius) {
+  playArea.classList.remove("bomb-flash");
+  //reading the layout in between lets the flash start over if it's still going
+  void playArea.offsetWidth;
+  playArea.classList.add("bomb-flash");
+  effects.ring(center, radius * 4, radius, "#FFFFFF");
+  playSound("bomb");
+}
+
+/**
+* Let the player hear their ship firing
+*/
+function playerShot() {
+  playSound("shoot");
+}
+
+/**
+* Let the player hear that they've been hit
+* @param {Point} center where the player was when they were hit
+*/
+function playerDied(center) {
+  effects.burst(center, DEATH_EXPLOSION);
+  //the same wave the simulation clears bullets with
+  effects.ring(center, DEATH_WAVE_SPEED, DEATH_WAVE_RADIUS, "#FF5555");
+  effects.shake(8, 0.4);
+  playSound("death");
+}
 
-  //player stuff
-  /**
-  * Initializes player
-  */
-  function initPlayer() {
-    Point.pointToStyle(PLAYER_START, player.style);
-    updatePlayerStats();
-  }
-
-  /**
-  * Update function for player to be called frequently
-  * @param {number} dt the amount of time passed since this was last called
-  */
-  function updatePlayer(dt) {
-    playerMove(dt);
-    if(playerStats.invulnTimer > 0) {
-      playerStats.invulnTimer -= dt;
-      //remove transparency when no longer invulnerable
-      if(playerStats.invulnTimer <= 0) {
-        player.firstChild.classList.remove("invuln");
+/**
+* Let the player hear a bullet brush past them
+* @param {Point} center where the bullet was
+*/
+function playerGrazed(center) {
+  playSound("graze");
+}
+
+/**
+* Let the player hear their bullets landing on the enemy
+* @param {Point} center where the bullet hit
+*/
+function enemyHit(center) {
+  effects.burst(center, HIT_SPARKS);
+  playSound("hit");
+}
+
+/**
+* Blow the enemy up when it's beaten
+* @param {Point} center where the enemy was
+*/
+function enemyDefeated(center) {
+  effects.burst(center, DEFEAT_EXPLOSION);
+  effects.shake(12, 0.6);
+}
+
+/**
+* Show or hide the pause screen, stopping the music while it's up
+* @param {boolean} paused whether the game was just paused
+*/
+function pauseChanged(paused) {
+  if(paused) {
+    showPanels(["pause"]);
+    document.getElementById("music").pause();
+  } else {
+    showPanels([]);
+    document.getElementById("music").play();
+  }
+}
+
+/**
+* Download the last run as a replay file
+*/
+function saveReplay() {
+  let data = {
+    version:REPLAY_VERSION,
+    seed:replay.seed,
+    renderer:rendererKind,
+    difficulty:runOptions.difficulty,
+    shotType:runOptions.shotType,
+    extraInvulnTime:runOptions.extraInvulnTime,
+    events:replay.events
+  };
+  let blob = new Blob([JSON.stringify(data)], {type:"application/json"});
+  let link = document.createElement("A");
+  link.href = URL.createObjectURL(blob);
+  link.download = "cascadingstyleshoots-replay-" + replay.seed + ".json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+* Read the replay file the player picked and start watching it
+*/
+function loadReplay() {
+  let input = document.getElementById("replay-file");
+  let message = document.querySelector("#replay p");
+  message.innerText = "";
+  if(input.files.length === 0) {
+    return;
+  }
+  input.files[0].text()
+    .then(JSON.parse)
+    .then(data => {
+      validateReplay(data);
+      input.value = "";
+      if(roundState !== ROUND_STATE.break) {
+        return;
       }
-    }
-    playerStats.shootTimer -= dt;
-    if(playerStats.shootTimer <= 0) {
-      playerShoot();
-      playerStats.shootTimer += PLAYER_SHOOT_INTERVAL;
-    }
+      resetGame();
+      document.getElementById("renderer-" + data.renderer).checked = true;
+      beginRun(data.seed, REPLAY_MODE.play, data.events, {
+        difficulty:data.difficulty,
+        shotType:data.shotType,
+        extraInvulnTime:data.extraInvulnTime
+      });
+    })
+    .catch(error => {
+      message.innerText = "Couldn't load the replay: " + error.message;
+    });
+}
+
+/**
+* Let the player know why the replay they were watching stopped early. The run
+* has already ended, so this goes under the game over screen's replay panel.
+* @param {string} message what the replay did that couldn't be done
+*/
+function replayFailed(message) {
+  document.querySelector("#replay p").innerText = "Couldn't finish the replay: " + message;
+}
+
+//high scores
+/**
+* Read the high score table from local storage. Anything missing, unreadable
+* or malformed is treated as if there were no scores saved.
+* @returns {list} the saved scores, best first
+*/
+function loadHighScores() {
+  let scores = loadJSON(HIGH_SCORE_KEY,
+    saved => Array.isArray(saved) ? saved.filter(isValidHighScore) : null, []);
+  scores.sort((a, b) => b.score - a.score);
+  return scores.slice(0, HIGH_SCORE_COUNT);
+}
+
+/**
+* Write the high score table to local storage, if we are allowed to
+* @param {list} scores the scores to save
+*/
+function saveHighScores(scores) {
+  saveJSON(HIGH_SCORE_KEY, scores);
+}
+
+/**
+* Check that a saved high score entry has everything we need to display it
+* @param {object} entry the entry to check
+* @returns {boolean} whether the entry is usable
+*/
+function isValidHighScore(entry) {
+  return entry !== null && typeof entry === "object"
+    && Number.isFinite(entry.score) && Number.isFinite(entry.level)
+    && Array.isArray(entry.styles) && entry.styles.every(s => typeof s === "string")
+    && typeof entry.date === "string"
+    //scores from before difficulties were added don't have one
+    && (entry.difficulty === undefined || DIFFICULTIES.hasOwnProperty(entry.difficulty))
+    //or shot types
+    && (entry.shotType === undefined || SHOT_TYPES.hasOwnProperty(entry.shotType));
+}
+
+/**
+* Add the current run to the high score table
+* @returns {number} the position of the run in the table, or -1 if it didn't make it
+*/
+function recordHighScore() {
+  let entry = {
+    score:playerStats.score,
+    level:enemyStats.level,
+    styles:appliedStyles().map(style => style.description),
+    difficulty:runOptions.difficulty,
+    shotType:runOptions.shotType,
+    assisted:isAssisted(),
+    date:new Date().toISOString()
+  };
+  let scores = loadHighScores();
+  let rank = 0;
+  while(rank < scores.length && scores[rank].score >= entry.score) {
+    rank++;
   }
+  if(rank >= HIGH_SCORE_COUNT) {
+    return -1;
+  }
+  scores.splice(rank, 0, entry);
+  saveHighScores(scores.slice(0, HIGH_SCORE_COUNT));
+  return rank;
+}
 
-  /**
-  * Handle player input and movement
-  * @param {number} dt the amount of time passed since this was last called
-  */
-  function playerMove(dt) {
-    //player input
-    let playerPos = Point.styleToPoint(player.style);
-    let dir = new Point(0, 0);
-    if(keysPressed.a) {
-      dir.x -= 1;
-    }
-    if(keysPressed.d) {
-      dir.x += 1;
-    }
-    if(keysPressed.w) {
-      dir.y -= 1;
-    }
-    if(keysPressed.s) {
-      dir.y += 1;
-    }
-    dir.normalize();
-    let speed = PLAYER_SPEED.normal;
-    if(keysPressed.space) {
-      speed = PLAYER_SPEED.focus;
+/**
+* Fill in the high score table in HTML
+* @param {number} highlight the position of the entry to highlight, or -1 for none
+*/
+function displayHighScores(highlight) {
+  let scores = loadHighScores();
+  let tbody = document.querySelector("#high-scores tbody");
+  tbody.innerHTML = "";
+  for(let i = 0; i < scores.length; i++) {
+    let row = document.createElement("TR");
+    let date = new Date(scores[i].date);
+    let cells = [i + 1, scores[i].score, scores[i].level, describeMode(scores[i]),
+      scores[i].styles.length, isNaN(date) ? "?" : date.toLocaleDateString()];
+    for(let j = 0; j < cells.length; j++) {
+      let td = document.createElement("TD");
+      td.innerText = cells[j];
+      row.appendChild(td);
     }
-    dir.scale(speed * dt);
-    playerPos.add(dir);
-    Point.pointToStyle(playerPos, player.style);
-    clampToParent(player);
-  }
-
-  /**
-  * Makes the player shoot a bunch of bullets in a spread
-  */
-  function playerShoot() {
-    let playerPos = Point.styleToPoint(player.style);
-    for(let i = -(PLAYER_SHOOT_COUNT - 1)/2; i <= (PLAYER_SHOOT_COUNT - 1)/2; i++) {
-      spawnBullet(true, playerPos.copy(),
-        (new Point(i * i * i, -10 * i * i - 1)).normalize().scale(PLAYER_SHOOT_SPEED),
-        new Point(0, 0));
+    row.title = scores[i].styles.join("\n");
+    if(i === highlight) {
+      row.classList.add("new-high-score");
     }
+    tbody.appendChild(row);
   }
+  document.querySelector("#high-scores table").classList.toggle("hidden", scores.length === 0);
+  document.querySelector("#high-scores p").classList.toggle("hidden", scores.length !== 0);
+}
 
-  /**
-  * Handle player death
-  */
-  function playerDeath() {
-    if(playerStats.lives >= 1) {
-      Point.pointToStyle(PLAYER_START, player.style);
-      playerStats.invulnTimer = PLAYER_INVULN_TIME;
-      player.firstChild.classList.add("invuln");
-      playerStats.lives--;
-      updatePlayerStats();
-    } else {
-      //TODO: implement proper gameover
-      roundState = ROUND_STATE.break;
-    }
+/**
+* Check if the run going on now is getting any help from assists
+* @returns {boolean} whether any assists are on
+*/
+function isAssisted() {
+  return options.gameSpeed < 1 || options.showHitbox || runOptions.extraInvulnTime > 0;
+}
+
+/**
+* Describe what mode a high score was set on
+* @param {object} entry the high score entry
+* @returns {string} the difficulty and shot type, and whether assists were on
+*/
+function describeMode(entry) {
+  let label = DIFFICULTIES[entry.difficulty || "normal"].label;
+  if(entry.shotType !== undefined) {
+    label += ", " + SHOT_TYPES[entry.shotType].label;
   }
+  return entry.assisted ? label + " (assisted)" : label;
+}
 
-  /**
-  * Update display of player stats in HTML
-  */
-  function updatePlayerStats() {
-    document.querySelector("#lives p").innerText = playerStats.lives;
-    document.querySelector("#score p").innerText = playerStats.score;
-  }
-
-  //enemy stuff
-  /**
-  * Initialize the enemy
-  */
-  function initEnemy() {
-    Point.pointToStyle(ENEMY_START, enemy.style);
-    enemyStats.health = ENEMY_HEALTH.base + ENEMY_HEALTH.perLevel * enemyStats.level;
-    enemyAttackState.thinkTimer = 0;
-    enemyAttackState.thinkInstance = 0;
-    enemyAttackState.timer = 0;
-    newEnemyDestination();
-    updateEnemyStats();
-  }
-
-  /**
-  * Update function for enemy, called frequently
-  * @param {number} dt the amount of time passed since this was last called
-  */
-  function updateEnemy(dt) {
-    let enemyPos = Point.styleToPoint(enemy.style);
-    enemyMoveState.timer -= dt;
-    if(Point.distance(enemyPos, enemyMoveState.destination) <= enemy.firstChild.clientWidth
-      || enemyMoveState.timer <= 0) {
-      newEnemyDestination();
-    }
-    enemyPos.add(enemyMoveState.destination.copy().subtract(enemyPos).normalize()
-      .scale(dt * enemyMoveState.speed));
-    updateEnemyAttack(dt);
-    Point.pointToStyle(enemyPos, enemy.style);
-  }
-
-  /**
-  * Helper method to make the enemy choose a place to move to
-  */
-  function newEnemyDestination() {
-    enemyMoveState.destination = new Point(
-      Math.random() * (playArea.clientWidth - enemy.firstChild.clientWidth),
-      ENEMY_MIN_Y + Math.random() * (ENEMY_MAX_Y - ENEMY_MIN_Y));
-    enemyMoveState.timer = 5;
-  }
-
-  /**
-  * Help handle enemy attack logic
-  * @param {number} dt the amount of time passed since this was last called
-  */
-  function updateEnemyAttack(dt) {
-    enemyAttackState.timer -= dt;
-    if(enemyAttackState.timer <= 0) {
-      enemyEnterAttackState(Math.floor(Math.random() * 4));
-    } else {
-      enemyAttackState.thinkTimer -= dt;
-      if(enemyAttackState.thinkTimer <= 0) {
-        enemyAttackState.thinkTimer += enemyAttackState.thinkInterval;
-        enemyAttackThink(enemyAttackState.thinkInstance);
-        enemyAttackState.thinkInstance++;
-      }
+//options
+/**
+* Read the difficulty and assist options from local storage. Anything missing
+* or unusable is left at its default.
+* @returns {object} the options
+*/
+function loadOptions() {
+  return loadJSON(OPTIONS_KEY, readOptions, Object.assign({}, DEFAULT_OPTIONS));
+}
+
+/**
+* Take the usable options from what was saved
+* @param {object} saved the saved options
+* @returns {object} the options, or null if nothing usable was saved
+*/
+function readOptions(saved) {
+  if(saved === null || typeof saved !== "object") {
+    return null;
+  }
+  let loaded = Object.assign({}, DEFAULT_OPTIONS);
+  if(DIFFICULTIES.hasOwnProperty(saved.difficulty)) {
+    loaded.difficulty = saved.difficulty;
+  }
+  if(SHOT_TYPES.hasOwnProperty(saved.shotType)) {
+    loaded.shotType = saved.shotType;
+  }
+  if(Number.isFinite(saved.gameSpeed)) {
+    loaded.gameSpeed = Math.min(Math.max(saved.gameSpeed, MIN_GAME_SPEED), 1);
+  }
+  if(typeof saved.showHitbox === "boolean") {
+    loaded.showHitbox = saved.showHitbox;
+  }
+  if(typeof saved.focusHitbox === "boolean") {
+    loaded.focusHitbox = saved.focusHitbox;
+  }
+  if(MOTION_SETTINGS.includes(saved.motion)) {
+    loaded.motion = saved.motion;
+  }
+  if(Number.isFinite(saved.extraInvulnTime)) {
+    loaded.extraInvulnTime = Math.min(Math.max(saved.extraInvulnTime, 0),
+      MAX_EXTRA_INVULN_TIME);
+  }
+  return loaded;
+}
+
+/**
+* Write the difficulty and assist options to local storage, if we are allowed to
+*/
+function saveOptions() {
+  saveJSON(OPTIONS_KEY, options);
+}
+
+/**
+* Set the option inputs on the start screen to the current options
+*/
+function displayOptions() {
+  document.getElementById("difficulty").value = options.difficulty;
+  document.getElementById("shot-type").value = options.shotType;
+  document.getElementById("game-speed").value = options.gameSpeed;
+  document.getElementById("show-hitbox").checked = options.showHitbox;
+  document.getElementById("focus-hitbox").checked = options.focusHitbox;
+  document.getElementById("motion").value = options.motion;
+  document.getElementById("extra-invuln").value = options.extraInvulnTime;
+  document.getElementById("game-speed-value").innerText = Math.round(options.gameSpeed * 100) + "%";
+  document.getElementById("extra-invuln-value").innerText = options.extraInvulnTime + "s";
+}
+
+/**
+* Handle the player changing one of the options on the start screen
+*/
+function optionsChanged() {
+  options = {
+    difficulty:document.getElementById("difficulty").value,
+    shotType:document.getElementById("shot-type").value,
+    gameSpeed:parseFloat(document.getElementById("game-speed").value),
+    showHitbox:document.getElementById("show-hitbox").checked,
+    focusHitbox:document.getElementById("focus-hitbox").checked,
+    motion:document.getElementById("motion").value,
+    extraInvulnTime:parseFloat(document.getElementById("extra-invuln").value)
+  };
+  displayOptions();
+  applyMotionSetting();
+  saveOptions();
+}
+
+/**
+* Turn screen shake and flying particles off or on, depending on the motion
+* option and, if that's left on auto, what the player's system asks for
+*/
+function applyMotionSetting() {
+  let reduced = options.motion === "reduced";
+  if(options.motion === "auto" && window.matchMedia) {
+    reduced = window.matchMedia(REDUCED_MOTION_QUERY).matches;
+  }
+  effects.reducedMotion = reduced;
+  document.body.classList.toggle("reduced-motion", reduced);
+}
+
+//sound
+/**
+* Set the volume inputs in the settings to the current volumes
+*/
+function displayAudioSettings() {
+  document.getElementById("music-volume").value = audioSettings.music;
+  document.getElementById("sfx-volume").value = audioSettings.sfx;
+  document.getElementById("muted").checked = audioSettings.muted;
+}
+
+/**
+* Make the music and sound effects as loud as the settings say
+*/
+function applyAudioSettings() {
+  setAudioSettings(audioSettings);
+  document.getElementById("music").volume = volumeOf("music");
+}
+
+/**
+* Handle the player changing one of the volume inputs in the settings
+*/
+function audioSettingsChanged() {
+  audioSettings = {
+    music:parseFloat(document.getElementById("music-volume").value),
+    sfx:parseFloat(document.getElementById("sfx-volume").value),
+    muted:document.getElementById("muted").checked
+  };
+  applyAudioSettings();
+  saveAudioSettings(audioSettings);
+  //so the player can hear how loud effects are now
+  resumeAudio();
+  playSound("hit");
+}
+
+/**
+* Update display of player stats in HTML
+*/
+function updatePlayerStats() {
+  document.querySelector("#lives p").innerText = playerStats.lives;
+  document.querySelector("#bombs p").innerText = playerStats.bombs;
+  document.querySelector("#power p").innerText = powerLevel() === MAX_POWER_LEVEL ? "MAX"
+    : powerLevel() + " (" + playerStats.power + " items)";
+  document.querySelector("#score p").innerText = playerStats.score;
+  document.querySelector("#combo p").innerText = playerStats.combo + " (x"
+    + comboMultiplier() + ", x" + comboMultiplier() * FOCUS_SCORE_MULTIPLIER
+    + " while moving slower)";
+  document.querySelector("#graze p").innerText = playerStats.grazes;
+}
+
+/**
+* Handle updating enemy stats on the HTML
+*/
+function updateEnemyStats() {
+  document.getElementById("enemy-health-bar").style.height
+    = Math.max(0, Math.round(enemyStats.health / enemyStats.maxHealth * 100)) + "%";
+}
+
+/**
+* Name the enemy that just showed up and mark where its phases start on the
+* health bar
+* @param {number} number which encounter of the level this is, starting at 1
+* @param {number} count how many encounters there are in the level
+*/
+function encounterStarted(number, count) {
+  document.querySelector("#encounter p").innerText = enemyType.name + " (" + number + "/"
+    + count + ")";
+  let markers = document.querySelectorAll("#enemy-health .phase-marker");
+  for(let i = 0; i < markers.length; i++) {
+    markers[i].remove();
+  }
+  for(let i = 1; i < enemyType.phases.length; i++) {
+    let marker = document.createElement("DIV");
+    marker.classList.add("phase-marker");
+    marker.style.bottom = Math.round(enemyType.phases[i].threshold * 100) + "%";
+    document.getElementById("enemy-health").appendChild(marker);
+  }
+}
+
+/**
+* Draw everything in the play area in between simulation steps
+* @param {number} alpha how far along we are to the next step, from 0 to 1
+*/
+function render(alpha) {
+  renderer.begin();
+  renderer.draw(player, alpha);
+  renderer.draw(enemy, alpha);
+  for(let i = 0; i < playerBullets.length; i++) {
+    renderer.draw(playerBullets[i], alpha);
+  }
+  for(let i = 0; i < enemyBullets.length; i++) {
+    renderer.draw(enemyBullets[i], alpha);
+  }
+  for(let i = 0; i < powerItems.length; i++) {
+    renderer.draw(powerItems[i], alpha);
+  }
+  renderer.drawEffects(effects);
+  let shake = effects.shakeOffset();
+  playArea.style.transform = shake.x === 0 && shake.y === 0 ? ""
+    : "translate(" + shake.x + "px, " + shake.y + "px)";
+  //moving slowly is for weaving through bullets, so that's when the hitbox matters
+  if(options.showHitbox || (options.focusHitbox && keysPressed.focus)) {
+    //on top of the bullets, so it can be seen among them
+    let center = player.getCenter().subtract(player.pos).add(player.getDrawPos(alpha));
+    renderer.drawHitbox(center, player.radius);
+  }
+  if(showDebug) {
+    renderer.drawDebug([playerBulletGrid, enemyBulletGrid], hitboxes());
+  }
+}
+
+/**
+* Show only the given sections of the interaction panel, hiding the panel
+* entirely if there are none to show
+* @param {list} ids the ids of the sections to show
+*/
+function showPanels(ids) {
+  let sections = document.querySelectorAll("#interact > section");
+  for(let i = 0; i < sections.length; i++) {
+    sections[i].classList.toggle("hidden", !ids.includes(sections[i].id));
+  }
+  document.getElementById("interact").classList.toggle("hidden", ids.length === 0);
+}
+
+/**
+* Switch to a different way of drawing the play area, moving the player and
+* enemy over to it
+* @param {string} kind either "dom" or "canvas"
+*/
+function setRenderer(kind) {
+  if(renderer !== null) {
+    detachRenderer();
+    renderer.destroy();
+  }
+  if(kind === "canvas") {
+    renderer = new CanvasRenderer(playArea);
+  } else {
+    renderer = new DomRenderer(playArea);
+  }
+  rendererKind = kind;
+  attachRenderer(renderer);
+}
+
+/**
+* Read the size of the play area off of the page
+* @returns {Point} the size of the play area
+*/
+function measurePlayArea() {
+  return new Point(playArea.clientWidth, playArea.clientHeight);
+}
+
+//key bindings
+/**
+* Bring up the controls screen, remembering what to go back to afterwards
+*/
+function openSettings() {
+  let sections = document.querySelectorAll("#interact > section");
+  settingsReturnPanels = [];
+  for(let i = 0; i < sections.length; i++) {
+    if(!sections[i].classList.contains("hidden")) {
+      settingsReturnPanels.push(sections[i].id);
     }
   }
+  showPanels(["settings"]);
+}
+
+/**
+* Leave the controls screen for wherever it was opened from
+*/
+function closeSettings() {
+  rebinding = null;
+  displayBindings();
+  showPanels(settingsReturnPanels);
+}
 
-  /**
-  * Function to make the enemy attack at discrete intervals
-  * @param {number} instance the nth occurence of this method being called in an attack
-  */
-  function enemyAttackThink(instance) {
-    if(enemyAttackState.attack === 0) {
-      const vel = 100, accel = 20;
-      if(instance % 2 === 0) {
-        let randomOffset = Math.random() * 32 - 16;
-        let numBullets = 10 + enemyStats.level * 2;
-        for(let i = 0; i < numBullets; i++) {
-          let yPos = (i / numBullets * playArea.clientHeight) + randomOffset;
-          spawnBullet(false, new Point(0, yPos), new Point(vel, 0), new Point(accel, 0));
-        }
-        randomOffset = Math.random() * 32 - 16;
-        for(let i = 0; i < numBullets; i++) {
-          let yPos = (i / numBullets * playArea.clientHeight) + randomOffset;
-          spawnBullet(false, new Point(playArea.clientWidth - 18, yPos),
-            new Point(-vel, 0), new Point(-accel, 0));
-        }
+/**
+* Fill in the controls screen with the keys bound to each action, and the
+* pause screen with how to resume
+*/
+function displayBindings() {
+  let tbody = document.querySelector("#settings tbody");
+  tbody.innerHTML = "";
+  for(let i = 0; i < ACTIONS.length; i++) {
+    let row = document.createElement("TR");
+    let label = document.createElement("TH");
+    label.innerText = ACTIONS[i].label;
+    row.appendChild(label);
+    for(let slot = 0; slot < BINDING_SLOTS; slot++) {
+      let td = document.createElement("TD");
+      let button = document.createElement("BUTTON");
+      button.type = "button";
+      if(rebinding !== null && rebinding.action === ACTIONS[i].name && rebinding.slot === slot) {
+        button.innerText = "Press a key...";
+        button.classList.add("rebinding");
       } else {
-        let randomOffset = Math.random() * 32 - 16;
-        let numBullets = 7 + enemyStats.level;
-        for(let i = 0; i < numBullets; i++) {
-          let xPos = (i / numBullets * playArea.clientWidth) + randomOffset;
-          spawnBullet(false, new Point(xPos, 0), new Point(0, vel), new Point(0, accel));
-        }
-        randomOffset = Math.random() * 32 - 16;
-        for(let i = 0; i < numBullets; i++) {
-          let xPos = (i / numBullets * playArea.clientWidth) + randomOffset;
-          spawnBullet(false, new Point(xPos, playArea.clientHeight - 18),
-            new Point(0, -vel), new Point(0, -accel));
-        }
-      }
-    } else if(enemyAttackState.attack === 1) {
-      const vel = 150;
-      let enemyPos = Point.styleToPoint(enemy.style);
-      let delta = Point.styleToPoint(player.style).subtract(enemyPos).normalize();
-      for(let i = -1 - enemyStats.level; i < 1 + enemyStats.level; i++) {
-        let v = delta.copy().scale(6 + enemyStats.level).add(new Point(i, 0))
-          .normalize().scale(vel);
-        spawnBullet(false, enemyPos.copy(), v, new Point(0, 0));
-      }
-    } else if(enemyAttackState.attack === 2) {
-      const vel = 200;
-      const accel = 500;
-      let enemyPos = Point.styleToPoint(enemy.style);
-      for(let i = 0; i < 15 + enemyStats.level * 10; i++) {
-        let dir = (new Point(Math.random() - 0.5, Math.random() - 0.5)).normalize();
-        spawnBullet(false, enemyPos.copy(), dir.copy().scale(vel), dir.copy().scale(-accel));
-      }
-    } else if(enemyAttackState.attack === 3) {
-      const vel = 200;
-      const maxAccel = 600;
-      let enemyPos = Point.styleToPoint(enemy.style);
-      let delta = Point.styleToPoint(player.style).subtract(enemyPos).normalize();
-      for(let i = 0; i < 12 + enemyStats.level * 6; i++) {
-        let randomDir = (new Point(Math.random() - 0.5, Math.random() - 0.5)).normalize();
-        spawnBullet(false, enemyPos.copy(), delta.copy().scale(vel),
-          randomDir.copy().scale(Math.random() * maxAccel));
+        button.innerText = describeKey(bindings[ACTIONS[i].name][slot]);
       }
+      button.addEventListener("click", () => startRebinding(ACTIONS[i].name, slot));
+      td.appendChild(button);
+      row.appendChild(td);
     }
+    tbody.appendChild(row);
   }
+  document.getElementById("pause-keys").innerText
+    = bindings.pause.map(describeKey).join(" or ") || "the Resume button";
+}
 
-  /**
-  * Makes the enemy enter an attack state
-  * @param {number} state the state to enter
-  */
-  function enemyEnterAttackState(state) {
-    enemyAttackState.attack = state;
-    enemyAttackState.thinkInstance = 0;
-    enemyAttackState.thinkTimer = 0;
-    switch(state){
-      case 0:
-        enemyAttackState.timer = 10;
-        enemyAttackState.thinkInterval = 2;
-        enemyMoveState.speed = 50;
-        break;
-      case 1:
-        enemyAttackState.timer = 6;
-        enemyAttackState.thinkInterval = 0.6;
-        enemyMoveState.speed = 300;
-        break;
-      case 2:
-        enemyAttackState.timer = 8;
-        enemyAttackState.thinkInterval = 1.5;
-        enemyMoveState.speed = 150;
-        break;
-      case 3:
-        enemyAttackState.timer = 6;
-        enemyAttackState.thinkInterval = 2;
-        enemyMoveState.speed = 200;
-        break;
-    }
+/**
+* Wait for the player to press the key they want for one of an action's slots.
+* Clicking the slot that's already waiting stops waiting instead, so that every
+* key other than DEBUG_KEY can be bound.
+* @param {string} action the name of the action to rebind
+* @param {number} slot which of the action's keys to replace
+*/
+function startRebinding(action, slot) {
+  if(rebinding !== null && rebinding.action === action && rebinding.slot === slot) {
+    stopRebinding();
+    return;
   }
+  rebinding = {action:action, slot:slot};
+  document.querySelector("#settings p").innerText
+    = "Press a key for " + actionLabel(action) + ", or click it again to cancel.";
+  displayBindings();
+}
 
-  /**
-  * Handle enemy being hit by a bullet
-  */
-  function enemyHit() {
-    enemyStats.health--;
-    updateEnemyStats();
-    playerStats.score += 100;
-    updatePlayerStats();
-    if(enemyStats.health <= 0 && roundState === ROUND_STATE.play) {
-      roundEnd();
-    }
+/**
+* Bind the key the player pressed to the action they picked, unless it's
+* reserved or already doing something else
+* @param {string} code the key code that was pressed
+*/
+function finishRebinding(code) {
+  let message = document.querySelector("#settings p");
+  let codes = bindings[rebinding.action];
+  if(code === DEBUG_KEY) {
+    message.innerText = describeKey(code) + " is kept for showing hitboxes, so it can't be"
+      + " bound. Pick another key, or click it again to cancel.";
+    return;
   }
+  let owner = findAction(bindings, code);
+  if(owner !== null && code !== codes[rebinding.slot]) {
+    message.innerText = describeKey(code) + " is already used for " + actionLabel(owner)
+      + ". Pick another key, or click it again to cancel.";
+    return;
+  }
+  codes[Math.min(rebinding.slot, codes.length)] = code;
+  saveBindings(bindings);
+  stopRebinding();
+}
 
-  /**
-  * Handle updating enemy stats on the HTML
-  */
-  function updateEnemyStats() {
-    let maxHealth = ENEMY_HEALTH.base + ENEMY_HEALTH.perLevel * enemyStats.level;
-    document.getElementById("enemy-health").style.height
-      = Math.round(enemyStats.health / maxHealth * 100) + "%";
-  }
-
-  //EVERYTHING BULLETS
-  /**
-  * Update all bullets with respect to time
-  * @param {number} dt the amount of time passed since this was last called
-  */
-  function updateBullets(dt) {
-    for(let i = 0; i < playerBullets.length; i++) {
-      let entry = playerBullets[i];
-      entry.updateKinematics(dt);
-      if(!isInParent(entry.element)) {
-        destroyBullet(entry);
-        i--;
-      } else if(Point.circleCollide(enemy, entry.element)) {
-        destroyBullet(entry);
-        enemyHit();
-        i--;
-      }
-    }
-    for(let i = 0; i < enemyBullets.length; i++) {
-      let entry = enemyBullets[i];
-      entry.updateKinematics(dt);
-      if(!isInParent(entry.element)) {
-        destroyBullet(entry);
-        i--;
-      } else if(Point.centerInCircle(player, entry.element) && playerStats.invulnTimer <= 0) {
-        //collision with player
-        destroyBullet(entry);
-        playerDeath();
-        i--;
-      }
-    }
+/**
+* Stop waiting for a key to bind
+*/
+function stopRebinding() {
+  rebinding = null;
+  document.querySelector("#settings p").innerText = "";
+  heldKeys = [];
+  updateKeysPressed();
+  displayBindings();
+}
+
+/**
+* Go back to the default key bindings
+*/
+function resetBindings() {
+  bindings = defaultBindings();
+  saveBindings(bindings);
+  rebinding = null;
+  document.querySelector("#settings p").innerText = "";
+  updateKeysPressed();
+  displayBindings();
+}
+
+/**
+* Get the name of an action to show the player
+* @param {string} action the name the game uses for the action
+* @returns {string} what the action is called on the controls screen
+*/
+function actionLabel(action) {
+  return ACTIONS.find(entry => entry.name === action).label;
+}
+
+/**
+* Work out which actions are being held from the keys that are down. An action
+* stays held as long as any of its keys are.
+*/
+function updateKeysPressed() {
+  let actions = Object.keys(keysPressed);
+  for(let i = 0; i < actions.length; i++) {
+    keysPressed[actions[i]] = bindings[actions[i]].some(code => heldKeys.includes(code))
+      || (gamepadState !== null && gamepadState[actions[i]]);
+  }
+  keysPressed.focus = keysPressed.focus || touchState.focus;
+  keysPressed.bomb = keysPressed.bomb || touchState.bomb;
+  let stick = new Point(0, 0);
+  if(touchState.id !== null) {
+    stick = touchStick();
+  } else if(gamepadState !== null) {
+    stick = gamepadState.stick;
+  }
+  analogMove.x = stick.x;
+  analogMove.y = stick.y;
+}
+
+//controllers
+/**
+* Start listening to a controller that was just plugged in, if we aren't
+* already listening to one
+* @param {GamepadEvent} e the event passed from the event listener
+*/
+function gamepadConnected(e) {
+  if(gamepadIndex === null) {
+    gamepadIndex = e.gamepad.index;
+    displayGamepad(e.gamepad);
   }
+}
 
-  /**
-  * Create a bullet on the play area
-  * @param {boolean} player whether or not this was created by a player
-  * @param {Point} pos the position of the bullet
-  * @param {Point} vel the velocity of the bullet
-  * @param {Point} accel the acceleration of the bullet
-  * @returns {Bullet} the bullet created
-  */
-  function spawnBullet(player, pos, vel, accel) {
-    let element = {};
-    if(player) {
-      element = addPlayAreaElement("img/playerbullet.png");
-    } else {
-      element = addPlayAreaElement("img/enemybullet.png");
+/**
+* Let go of everything a controller was holding when it's unplugged, and pause
+* since the player has probably lost control. Switch to another controller if
+* there's one still plugged in.
+* @param {GamepadEvent} e the event passed from the event listener
+*/
+function gamepadDisconnected(e) {
+  if(e.gamepad.index !== gamepadIndex) {
+    return;
+  }
+  gamepadIndex = null;
+  gamepadState = null;
+  updateKeysPressed();
+  pauseGame();
+  let pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  for(let i = 0; i < pads.length; i++) {
+    if(pads[i] && pads[i].connected) {
+      gamepadIndex = pads[i].index;
+      break;
     }
-    let bullet = new Bullet(element, pos, vel, accel);
-    if(player) {
-      element.classList.add("player-bullet");
-      if(styleBonuses.playerBulletGrow.active) {
-        element.classList.add("player-bullet-upgrade");
-      }
-      if(styleBonuses.playerBulletTransparent.active) {
-        element.classList.add("player-bullet-transparent");
-      }
-      playerBullets.push(bullet);
-    } else {
-      element.classList.add("enemy-bullet");
-      if(styleBonuses.enemyBulletShrink.active) {
-        element.classList.add("enemy-bullet-downgrade");
+  }
+  displayGamepad(gamepadIndex === null ? null : pads[gamepadIndex]);
+}
+
+/**
+* Show which controller is in use in the HUD
+* @param {Gamepad} pad the controller, or null if there isn't one
+*/
+function displayGamepad(pad) {
+  let section = document.getElementById("gamepad");
+  section.classList.toggle("hidden", pad === null);
+  section.querySelector("p").innerText = pad === null ? "" : pad.id;
+}
+
+/**
+* Read the controller, since controllers don't send events for their buttons
+* and sticks the way keyboards do. Pausing, confirming and rerolling happen
+* when their buttons are first pressed, and the rest are held like keys.
+*/
+function pollGamepad() {
+  if(gamepadIndex === null) {
+    return;
+  }
+  let pad = navigator.getGamepads()[gamepadIndex];
+  if(!pad) {
+    return;
+  }
+  let prevState = gamepadState;
+  gamepadState = readGamepad(pad);
+  updateKeysPressed();
+  if(prevState === null) {
+    return;
+  }
+  if(gamepadState.pause && !prevState.pause) {
+    togglePause();
+  }
+  if(!document.getElementById("bonus-select").classList.contains("hidden")) {
+    //pick between the bonuses with the d-pad or stick, once per push so that a
+    //resting thumb doesn't keep undoing a choice made some other way
+    let choice = gamepadBonusChoice(gamepadState);
+    if(choice !== null && choice !== gamepadBonusChoice(prevState)) {
+      let input = document.getElementById(choice);
+      if(!input.classList.contains("hidden")) {
+        input.checked = true;
       }
-      enemyBullets.push(bullet);
     }
-    return bullet; //for debugging purposes
-  }
-
-  /**
-  * Removes a bullet from the play area
-  * @param {Bullet} bullet the bullet to destroy
-  */
-  function destroyBullet(bullet) {
-    //remove from dom
-    bullet.element.remove();
-    //remove from array
-    let ind = enemyBullets.indexOf(bullet);
-    if(ind !== -1) {
-      enemyBullets.splice(ind, 1);
-    } else {
-      ind = playerBullets.indexOf(bullet);
-      if(ind !== -1) {
-        playerBullets.splice(ind, 1);
-      }
+    if(gamepadState.confirm && !prevState.confirm) {
+      confirmBonus();
+    } else if(gamepadState.reroll && !prevState.reroll) {
+      rerollBonus();
     }
   }
+}
 
-  /**
-  * Destroy all bullets on the play area
-  */
-  function clearBullets() {
-    while(playerBullets.length > 0) {
-      let bullet = playerBullets[0];
-      bullet.element.remove();
-      playerBullets.shift();
-    }
-    while(enemyBullets.length > 0) {
-      let bullet = enemyBullets[0];
-      bullet.element.remove();
-      enemyBullets.shift();
-    }
+/**
+* Work out which bonus a controller's d-pad or stick is pointing at
+* @param {object} state what the controller is doing, from readGamepad()
+* @returns {string} the id of the bonus's input, or null if it's not pointing
+* either way
+*/
+function gamepadBonusChoice(state) {
+  if(state.left || state.up || state.stick.x < 0) {
+    return "bonus1";
+  } else if(state.right || state.down || state.stick.x > 0) {
+    return "bonus2";
   }
+  return null;
+}
 
-  //GENERAL HELPER METHODS FOR THINGS IN THE PLAY AREA
-  /**
-  * Adds an element to the play area
-  * @param {string} imgsrc the image to go with the element
-  * @returns {DOMElement} the div element created
-  */
-  function addPlayAreaElement(imgsrc) {
-    let stacker = document.createElement("DIV");
-    stacker.classList.add("stacker");
-    let image = document.createElement("IMG");
-    stacker.appendChild(image);
-    image.src = imgsrc;
-    playArea.appendChild(stacker);
-    return stacker;
-  }
-
-  /**
-  * Keep an element's coordinates constrained within the play area
-  * @param {DOMElement} element the element to constrain
-  */
-  function clampToParent(element) {
-    let pos = Point.styleToPoint(element.style);
-    if(pos.x < 0) {
-      pos.x = 0;
-    }
-    if(pos.x > element.parentNode.clientWidth - element.firstChild.clientWidth) {
-      pos.x = element.parentNode.clientWidth - element.firstChild.clientWidth;
-    }
-    if(pos.y < 0) {
-      pos.y = 0;
-    }
-    if(pos.y > element.parentNode.clientHeight - element.firstChild.clientHeight) {
-      pos.y = element.parentNode.clientHeight - element.firstChild.clientHeight;
+//touch screens
+/**
+* Start dragging the player around. Where the finger goes from here, the player
+* follows, no matter where on the play area the drag started.
+* @param {TouchEvent} e the event passed from the event listener
+*/
+function touchStart(e) {
+  e.preventDefault();
+  document.getElementById("touch-controls").classList.remove("hidden");
+  if(touchState.id === null && roundState === ROUND_STATE.play) {
+    let touch = e.changedTouches[0];
+    touchState.id = touch.identifier;
+    touchState.start = touchPoint(touch);
+    touchState.current = touchState.start.copy();
+    touchState.playerStart = player.pos.copy();
+  }
+}
+
+/**
+* Keep dragging the player along
+* @param {TouchEvent} e the event passed from the event listener
+*/
+function touchMove(e) {
+  e.preventDefault();
+  for(let i = 0; i < e.changedTouches.length; i++) {
+    if(e.changedTouches[i].identifier === touchState.id) {
+      touchState.current = touchPoint(e.changedTouches[i]);
     }
-    Point.pointToStyle(pos, element.style);
-  }
-
-  /**
-  * Check whether an element is inside the play area
-  * @param {DOMElement} element the element to check for
-  * @returns {boolean} the result of the check
-  */
-  function isInParent(element) {
-    let pos = Point.styleToPoint(element.style);
-    return pos.x >= 0 && pos.x <= element.parentNode.clientWidth
-      - element.firstChild.clientWidth
-      && pos.y >= 0 && pos.y <= element.parentNode.clientHeight
-      - element.firstChild.clientHeight;
-  }
-
-  /**
-  * Helper function to handle button pressing
-  * @param {string} code the key code
-  * @param {boolean} pressed the state of the button
-  */
-  function keyInput(code, pressed) {
-    switch(code) {
-      case "KeyW":
-        keysPressed.w = pressed;
-        break;
-      case "KeyA":
-        keysPressed.a = pressed;
-        break;
-      case "KeyS":
-        keysPressed.s = pressed;
-        break;
-      case "KeyD":
-        keysPressed.d = pressed;
-        break;
-      case "Space":
-        keysPressed.space = pressed;
-        break;
+  }
+}
+
+/**
+* Stop dragging the player once the finger that was dragging is lifted
+* @param {TouchEvent} e the event passed from the event listener
+*/
+function touchEnd(e) {
+  for(let i = 0; i < e.changedTouches.length; i++) {
+    if(e.changedTouches[i].identifier === touchState.id) {
+      touchState.id = null;
+      updateKeysPressed();
     }
   }
+}
 
-  /**
-  * Helper method to handle button pressing
-  * @param {KeyboardEvent} e the event passed from the event listener
-  */
-  function keyPress(e) {
-    keyInput(e.code, true);
+/**
+* Get where a touch is, in the game's own units instead of the screen's
+* @param {Touch} touch the touch to locate
+* @returns {Point} the touch's position
+*/
+function touchPoint(touch) {
+  return new Point(touch.clientX, touch.clientY).scale(1 / gameScale);
+}
+
+/**
+* Work out which way to push the player to bring it to where the drag says it
+* should be. The player goes as fast as it's allowed to when it's far behind,
+* and eases in as it catches up.
+* @returns {Point} how hard to push the player, as if by a stick
+*/
+function touchStick() {
+  let target = touchState.playerStart.copy().add(touchState.current.copy().subtract(touchState.start));
+  let stick = target.subtract(player.pos).scale(1 / TOUCH_FULL_SPEED_DISTANCE);
+  if(stick.length() > 1) {
+    stick.normalize();
+  }
+  stick.x = Math.round(stick.x * TOUCH_PRECISION) / TOUCH_PRECISION;
+  stick.y = Math.round(stick.y * TOUCH_PRECISION) / TOUCH_PRECISION;
+  return stick;
+}
+
+/**
+* Hold down the bomb key from the touch controls
+* @param {TouchEvent} e the event passed from the event listener
+*/
+function touchBombPress(e) {
+  e.preventDefault();
+  touchState.bomb = true;
+  updateKeysPressed();
+}
+
+/**
+* Let go of the bomb key from the touch controls
+*/
+function touchBombRelease() {
+  touchState.bomb = false;
+  updateKeysPressed();
+}
+
+/**
+* Switch focus mode on or off from the touch controls
+*/
+function toggleTouchFocus() {
+  touchState.focus = !touchState.focus;
+  document.getElementById("touch-focus").classList.toggle("active", touchState.focus);
+  updateKeysPressed();
+}
+
+/**
+* Scale the game window down to fit on the screen. The game keeps laying
+* itself out at full size underneath, so everything in the play area stays in
+* the same units.
+*/
+function fitGameWindow() {
+  let frame = document.getElementById("game-frame");
+  let gameWindow = document.getElementById("game-window");
+  let width = gameWindow.offsetWidth;
+  let height = gameWindow.offsetHeight;
+  if(width === 0 || height === 0) {
+    //not laid out, so there's nothing to fit yet
+    return;
   }
+  gameScale = Math.min(1, frame.parentElement.clientWidth / width, window.innerHeight / height);
+  gameWindow.style.setProperty("--game-scale", gameScale);
+  frame.style.width = width * gameScale + "px";
+  frame.style.height = height * gameScale + "px";
+}
 
-  /**
-  * Helper method to handle button pressing
-  * @param {KeyboardEvent} e the event passed from the event listener
-  */
-  function keyUp(e) {
-    keyInput(e.code, false);
+/**
+* Helper function to handle button pressing
+* @param {string} code the key code
+* @param {boolean} pressed the state of the button
+*/
+function keyInput(code, pressed) {
+  let ind = heldKeys.indexOf(code);
+  if(pressed && ind === -1) {
+    heldKeys.push(code);
+  } else if(!pressed && ind !== -1) {
+    heldKeys.splice(ind, 1);
   }
+  let action = findAction(bindings, code);
+  if(action === "pause") {
+    if(pressed) {
+      togglePause();
+    }
+  } else if(action !== null) {
+    updateKeysPressed();
+  }
+}
 
-  /**
-  * Helper method to remove a random element from a list
-  * @param {list} list the list to remove from
-  * @returns {undefined} the randomly removed element of the list
-  */
-  function removeRandom(list) {
-    let ind = Math.floor(Math.random() * list.length);
-    let selected = list[ind];
-    list.splice(ind, 1);
-    return selected;
+/**
+* Helper method to handle button pressing
+* @param {KeyboardEvent} e the event passed from the event listener
+*/
+function keyPress(e) {
+  if(rebinding !== null) {
+    e.preventDefault();
+    finishRebinding(e.code);
+  } else if(e.code === DEBUG_KEY) {
+    e.preventDefault();
+    if(!e.repeat) {
+      showDebug = !showDebug;
+    }
+  } else if(!e.repeat) {
+    keyInput(e.code, true);
+  }
+  if(roundState === ROUND_STATE.play && findAction(bindings, e.code) !== null) {
+    //don't let the arrow keys or space scroll the page while playing
+    e.preventDefault();
   }
+}
 
-})();
+/**
+* Helper method to handle button pressing
+* @param {KeyboardEvent} e the event passed from the event listener
+*/
+function keyUp(e) {
+  keyInput(e.code, false);
+}
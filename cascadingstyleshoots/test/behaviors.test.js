@@ -0,0 +1,183 @@
+/*
+These check the scripts bullets follow: where a bullet ends up and which way
+it's heading after each kind of step has had its way with it
+*/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Point} from "../js/point.js";
+import {Bullet, BulletBehavior} from "../js/entities.js";
+
+//a quarter of a second, so that ages and positions come out round
+const DT = 0.25;
+const HITBOX = {radius:0.5, offset:new Point(0, 0)};
+
+/**
+* Make a bullet following some steps, with nothing around it but a target
+* @param {list} steps the behavior's steps
+* @param {Point} vel the velocity the bullet starts with
+* @param {Point} target the point the bullet aims and homes in on
+* @returns {object} the bullet, and world, what it can see, which keeps track of
+* what the bullet emits
+*/
+function fire(steps, vel, target) {
+  let world = {
+    emitted:[],
+    target:() => (target || new Point(0, 0)).copy(),
+    emit:(emitter, origin) => world.emitted.push({emitter:emitter, origin:origin}),
+    destroy:bullet => {
+      bullet.alive = false;
+    }
+  };
+  let bullet = new Bullet({}, new Point(0, 0), new Point(0, 0), HITBOX, vel,
+    new Point(0, 0), new BulletBehavior(steps));
+  return {bullet:bullet, world:world};
+}
+
+/**
+* Move a bullet along for a number of steps
+* @param {object} fired the bullet and its world, from fire()
+* @param {number} steps how many steps to take
+*/
+function fly(fired, steps) {
+  for(let i = 0; i < steps; i++) {
+    fired.bullet.updateKinematics(DT, fired.world);
+  }
+}
+
+/**
+* Check that a point is where it should be, give or take rounding
+* @param {Point} point the point to check
+* @param {number} x where it should be across
+* @param {number} y where it should be down
+*/
+function assertNear(point, x, y) {
+  assert.ok(Math.abs(point.x - x) < 1e-6 && Math.abs(point.y - y) < 1e-6,
+    "expected (" + x + ", " + y + "), got (" + point.x + ", " + point.y + ")");
+}
+
+test("turning happens once, when the bullet is old enough", () => {
+  let fired = fire([{at:0.5, action:"turn", angle:90}], new Point(100, 0));
+  fly(fired, 2);
+  assertNear(fired.bullet.pos, 50, 0);
+  assertNear(fired.bullet.vel, 100, 0);
+  fly(fired, 2);
+  assertNear(fired.bullet.vel, 0, 100);
+  assertNear(fired.bullet.pos, 50, 50);
+  fly(fired, 4);
+  assertNear(fired.bullet.vel, 0, 100);
+});
+
+test("any step can change the speed and acceleration along the new heading", () => {
+  let fired = fire([{at:0, action:"turn", angle:180, speed:40, accel:8}], new Point(100, 0));
+  fly(fired, 4);
+  assertNear(fired.bullet.pos, -43, 0);
+  assertNear(fired.bullet.vel, -48, 0);
+  assertNear(fired.bullet.accel, -8, 0);
+});
+
+test("aiming points the bullet at the target, keeping its speed", () => {
+  let fired = fire([{at:0.25, action:"aim"}], new Point(100, 0), new Point(25, 300));
+  fired.bullet.accel = new Point(20, 0);
+  fly(fired, 3);
+  assertNear(fired.bullet.vel, 0, 105);
+  assertNear(fired.bullet.accel, 0, 0);
+  assertNear(fired.bullet.pos, 25, 52.5);
+  //off to one side of the target
+  fired = fire([{at:0, action:"aim", angle:-90}], new Point(50, 0), new Point(0, 300));
+  fly(fired, 2);
+  assertNear(fired.bullet.vel, 50, 0);
+});
+
+test("emitting fires from where the bullet is and leaves it going", () => {
+  let emitter = {type:"ring", count:4, speed:60};
+  let fired = fire([{at:0.5, action:"emit", emitter:emitter}], new Point(0, 40));
+  fly(fired, 6);
+  assert.equal(fired.world.emitted.length, 1);
+  assert.equal(fired.world.emitted[0].emitter, emitter);
+  assertNear(fired.world.emitted[0].origin, 0, 20);
+  assert.ok(fired.bullet.alive);
+  assertNear(fired.bullet.pos, 0, 60);
+});
+
+test("expiring gets rid of the bullet, firing its last emitter first", () => {
+  let emitter = {type:"burst", count:3, speed:80};
+  let steps = [{at:0.5, action:"expire", emitter:emitter}, {at:0.75, action:"turn", angle:90}];
+  let fired = fire(steps, new Point(0, 40));
+  fly(fired, 6);
+  assert.ok(!fired.bullet.alive);
+  assert.equal(fired.world.emitted.length, 1);
+  assertNear(fired.world.emitted[0].origin, 0, 20);
+  //nothing after the bullet is gone moves or turns it
+  assertNear(fired.bullet.pos, 0, 20);
+  assertNear(fired.bullet.vel, 0, 40);
+  fired = fire([{at:0, action:"expire"}], new Point(0, 40));
+  fly(fired, 1);
+  assert.ok(!fired.bullet.alive);
+  assert.equal(fired.world.emitted.length, 0);
+});
+
+test("homing turns towards the target no faster than the turn rate", () => {
+  let far = new Point(0, 1000000);
+  let fired = fire([{from:0, to:10, action:"home", turnRate:90}], new Point(100, 0), far);
+  fly(fired, 2);
+  assertNear(fired.bullet.vel, 100 * Math.SQRT1_2, 100 * Math.SQRT1_2);
+  fly(fired, 2);
+  assertNear(fired.bullet.vel, 0, 100);
+  //only while the span lasts
+  fired = fire([{from:0, to:0.5, action:"home", turnRate:90}], new Point(100, 0), far);
+  fly(fired, 8);
+  assertNear(fired.bullet.vel, 100 * Math.SQRT1_2, 100 * Math.SQRT1_2);
+});
+
+test("spinning turns the bullet at a steady rate while the span lasts", () => {
+  let fired = fire([{from:0.5, to:1.5, action:"spin", rate:180}], new Point(100, 0));
+  fired.bullet.accel = new Point(10, 0);
+  fly(fired, 2);
+  assertNear(fired.bullet.vel, 105, 0);
+  //still speeding up the way it's going
+  fly(fired, 4);
+  assertNear(fired.bullet.vel, -115, 0);
+  assertNear(fired.bullet.accel, -10, 0);
+  fly(fired, 4);
+  assertNear(fired.bullet.vel, -125, 0);
+});
+
+test("waving sways the bullet across its path and back", () => {
+  let fired = fire([{from:0, to:10, action:"wave", amplitude:10, frequency:1}], new Point(100, 0));
+  fly(fired, 1);
+  assertNear(fired.bullet.pos, 25, 10);
+  fly(fired, 1);
+  assertNear(fired.bullet.pos, 50, 0);
+  fly(fired, 1);
+  assertNear(fired.bullet.pos, 75, -10);
+  fly(fired, 1);
+  assertNear(fired.bullet.pos, 100, 0);
+  assertNear(fired.bullet.vel, 100, 0);
+});
+
+test("a spiral carries the bullet around and out, then lets it go along the tangent", () => {
+  let fired = fire([{from:0, to:1, action:"spiral", radialSpeed:100, angularSpeed:90}],
+    new Point(100, 0));
+  fly(fired, 2);
+  assertNear(fired.bullet.pos, 50 * Math.SQRT1_2, 50 * Math.SQRT1_2);
+  fly(fired, 2);
+  assertNear(fired.bullet.pos, 0, 100);
+  assertNear(fired.bullet.vel, -50 * Math.PI, 100);
+  fly(fired, 1);
+  assertNear(fired.bullet.pos, -12.5 * Math.PI, 125);
+});
+
+test("a bullet starts its script over when it's reused", () => {
+  let behavior = new BulletBehavior([{at:0.25, action:"turn", angle:90}]);
+  let fired = fire([], new Point(100, 0));
+  fired.bullet.setBehavior(behavior);
+  fly(fired, 3);
+  assertNear(fired.bullet.vel, 0, 100);
+  fired.bullet.reset(new Point(0, 0), new Point(0, 0), new Point(100, 0), new Point(0, 0),
+    behavior);
+  fly(fired, 1);
+  assertNear(fired.bullet.vel, 100, 0);
+  fly(fired, 1);
+  assertNear(fired.bullet.vel, 0, 100);
+});
@@ -0,0 +1,54 @@
+/*
+These check that things touching in the play area are found, from circles and
+the collision grid up to the player's bullets wearing down the enemy
+*/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Point} from "../js/point.js";
+import {CollisionGrid} from "../js/collision.js";
+import {run, stepUntil} from "../headless.js";
+import {playerStats, enemyStats, player, enemy} from "../js/simulation.js";
+
+test("circles overlap when they touch, and not when they're apart", () => {
+  assert.ok(Point.circlesOverlap(new Point(0, 0), 2, new Point(3, 0), 1));
+  assert.ok(Point.circlesOverlap(new Point(5, 5), 1, new Point(5, 5), 0));
+  assert.ok(!Point.circlesOverlap(new Point(0, 0), 2, new Point(3, 1), 1));
+});
+
+test("the grid finds entities in the cells a circle touches, once each", () => {
+  let grid = new CollisionGrid(10);
+  grid.resize(new Point(100, 100));
+  let wide = {name:"wide"};
+  let far = {name:"far"};
+  //spans four cells
+  grid.insert(wide, new Point(20, 20), 5);
+  grid.insert(far, new Point(90, 90), 2);
+  assert.deepEqual(grid.query(new Point(18, 18), 1), [wide]);
+  assert.deepEqual(grid.query(new Point(50, 50), 1), []);
+  assert.deepEqual(grid.query(new Point(50, 50), 50), [wide, far]);
+});
+
+test("the grid keeps things off the edge of the play area in the edge cells", () => {
+  let grid = new CollisionGrid(10);
+  grid.resize(new Point(100, 100));
+  let outside = {name:"outside"};
+  grid.insert(outside, new Point(-30, 120), 1);
+  assert.deepEqual(grid.query(new Point(0, 99), 1), [outside]);
+  grid.clear();
+  assert.deepEqual(grid.query(new Point(0, 99), 1), []);
+});
+
+test("the player's bullets hitting the enemy take away its health", () => {
+  run(0, 1, [], {});
+  let maxHealth = enemyStats.maxHealth;
+  assert.equal(enemyStats.health, maxHealth);
+  //right under the enemy, and kept safe so nothing else gets in the way
+  let hit = stepUntil(() => enemyStats.health < maxHealth, 240, () => {
+    player.centerOn(enemy.getCenter().add(new Point(0, 60)));
+    playerStats.invulnTimer = 1;
+  });
+  assert.ok(hit);
+  assert.ok(playerStats.score > 0);
+  assert.ok(playerStats.combo > 0);
+});
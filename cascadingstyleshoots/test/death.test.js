@@ -0,0 +1,82 @@
+/*
+These check what happens when the player gets hit: losing a life, being safe
+for a while after, and the game ending once there are no lives left
+*/
+
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Point} from "../js/point.js";
+import {run, stepUntil} from "../headless.js";
+import {
+  ROUND_STATE, DIFFICULTIES, playerStats, roundStats, player, enemyBullets, playerBullets,
+  roundState, setView
+} from "../js/simulation.js";
+
+let deaths = 0;
+let gamesEnded = 0;
+setView({
+  playerDied:center => deaths++,
+  gameEnded:() => gamesEnded++
+});
+
+beforeEach(() => {
+  deaths = 0;
+  gamesEnded = 0;
+});
+
+test("getting hit costs a life and keeps the player safe for a while", () => {
+  run(0, 5, [], {});
+  assert.equal(playerStats.lives, DIFFICULTIES.normal.lives);
+  playerStats.combo = 10;
+  assert.ok(stepUntil(() => deaths > 0, 7200));
+  assert.equal(playerStats.lives, DIFFICULTIES.normal.lives - 1);
+  assert.equal(roundStats.livesLost, 1);
+  assert.equal(playerStats.combo, 0);
+  assert.equal(playerStats.invulnTimer, 3);
+  assert.deepEqual(player.pos, new Point(200, 400));
+  assert.equal(roundState, ROUND_STATE.play);
+  //bullets pass right through while the player is safe
+  stepUntil(() => playerStats.invulnTimer <= 0.05, 7200, () => {
+    player.centerOn(enemyBullets.length > 0 ? enemyBullets[0].getCenter() : player.getCenter());
+  });
+  assert.equal(deaths, 1);
+});
+
+test("the assist for more time being safe after dying adds to it", () => {
+  run(0, 5, [], {extraInvulnTime:1.5});
+  assert.ok(stepUntil(() => deaths > 0, 7200));
+  assert.equal(playerStats.invulnTimer, 4.5);
+});
+
+test("getting hit with no lives left ends the game", () => {
+  run(0, 5, [], {});
+  playerStats.lives = 0;
+  assert.ok(stepUntil(() => deaths > 0, 7200));
+  assert.equal(gamesEnded, 1);
+  assert.equal(roundState, ROUND_STATE.break);
+  assert.equal(playerStats.lives, 0);
+  assert.equal(enemyBullets.length, 0);
+  assert.equal(playerBullets.length, 0);
+});
+
+test("losing every life one at a time ends the game", () => {
+  run(0, 5, [], {difficulty:"lunatic"});
+  assert.ok(stepUntil(() => gamesEnded > 0, 36000));
+  assert.equal(deaths, DIFFICULTIES.lunatic.lives + 1);
+  assert.equal(roundState, ROUND_STATE.break);
+});
+
+test("a bomb goes off once when the key is pressed, and keeps the player safe", () => {
+  let keys = {up:false, left:false, down:false, right:false, focus:false, bomb:false};
+  let events = [
+    {tick:0, keys:keys},
+    {tick:120, keys:Object.assign({}, keys, {bomb:true})}
+  ];
+  let state = run(121, 5, events, {});
+  assert.equal(state.player.bombs, 1);
+  assert.ok(state.player.invulnerable);
+  //held down, it doesn't go off again
+  state = run(240, 5, events, {});
+  assert.equal(state.player.bombs, 1);
+  assert.equal(deaths, 0);
+});
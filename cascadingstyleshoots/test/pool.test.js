@@ -0,0 +1,43 @@
+/*
+These check the caps on how many bullets can be out at once, which a run can
+set for itself
+*/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {run, stepUntil} from "../headless.js";
+import {playerStats, playerBullets, enemyBullets, runOptions} from "../js/simulation.js";
+
+/**
+* Play on for a while, keeping track of the most bullets that were out
+* @param {number} ticks how many steps to play
+* @returns {object} the most player and enemy bullets out after any step
+*/
+function mostBulletsOut(ticks) {
+  let most = {player:0, enemy:0};
+  stepUntil(() => false, ticks, () => {
+    playerStats.invulnTimer = 1;
+    most.player = Math.max(most.player, playerBullets.filter(bullet => bullet.alive).length);
+    most.enemy = Math.max(most.enemy, enemyBullets.filter(bullet => bullet.alive).length);
+  });
+  return most;
+}
+
+test("runs cap bullets at the defaults unless they say otherwise", () => {
+  run(0, 2, [], {});
+  assert.deepEqual(runOptions.maxBullets, {player:200, enemy:1500});
+  let most = mostBulletsOut(1200);
+  assert.ok(most.player > 10);
+  assert.ok(most.enemy > 12);
+});
+
+test("past a run's own caps, bullets just don't get fired", () => {
+  run(0, 2, [], {maxBullets:{player:10, enemy:12}});
+  let most = mostBulletsOut(1200);
+  assert.equal(most.player, 10);
+  assert.equal(most.enemy, 12);
+  //a cap that's left out stays at the default
+  run(0, 2, [], {maxBullets:{enemy:12}});
+  assert.deepEqual(runOptions.maxBullets, {player:200, enemy:12});
+  assert.ok(mostBulletsOut(1200).player > 10);
+});
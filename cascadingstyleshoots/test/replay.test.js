@@ -0,0 +1,123 @@
+/*
+These check that a recorded run plays back exactly, no matter what was played
+before it, and that replays the game couldn't play back are turned away
+*/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {loadGame, run, report, stepUntil} from "../headless.js";
+import {validateReplay} from "../js/data.js";
+import {
+  REPLAY_VERSION, REPLAY_MODE, TIMESTEP, keysPressed, roundState, ROUND_STATE, replay, step,
+  startRun, resetGame, selectBonus, playReplayBonus, choosingBonus, styleBonuses, enemyStats,
+  playerStats
+} from "../js/simulation.js";
+
+const NO_KEYS = {up:false, left:false, down:false, right:false, focus:false, bomb:false};
+
+/**
+* Record a run, changing which keys are held every so often
+* @param {number} ticks how many steps to record
+* @param {number} seed the seed for the run
+* @param {object} options the run's options, as startRun() takes them
+* @returns {object} the events recorded, and where everything ended up
+*/
+function record(ticks, seed, options) {
+  loadGame();
+  resetGame();
+  startRun(seed, REPLAY_MODE.record, [], options);
+  for(let i = 0; i < ticks; i++) {
+    keysPressed.left = i % 240 < 90;
+    keysPressed.right = i % 240 >= 150;
+    keysPressed.up = i % 400 < 40;
+    keysPressed.focus = i % 300 >= 200;
+    keysPressed.bomb = i === 700;
+    if(roundState === ROUND_STATE.break) {
+      selectBonus(1);
+    }
+    step(TIMESTEP);
+  }
+  return {events:replay.events.slice(), state:report()};
+}
+
+/**
+* Start playing back some events, and play on until the first round is won
+* @param {list} events the replay's events
+* @param {list} offered the styles to leave on offer when the round ends, or
+* every style if left out
+*/
+function playToFirstBreak(events, offered) {
+  run(0, 6, events, {});
+  for(let style in styleBonuses) {
+    if(offered !== undefined && !offered.includes(style)) {
+      styleBonuses[style].tier = styleBonuses[style].tiers.length;
+    }
+  }
+  assert.ok(stepUntil(() => roundState === ROUND_STATE.break, 7200, () => {
+    enemyStats.health = Math.min(enemyStats.health, 0.1);
+    playerStats.invulnTimer = 1;
+  }));
+}
+
+test("a recording plays back the same as it was played", () => {
+  let options = {difficulty:"normal", shotType:"laser"};
+  let recorded = record(1500, 11, options);
+  assert.deepEqual(run(1500, 11, recorded.events, options), recorded.state);
+});
+
+test("a recording plays back the same after other runs", () => {
+  let options = {difficulty:"hard", shotType:"homing", extraInvulnTime:1};
+  run(900, 4, [], {difficulty:"lunatic", shotType:"spread"});
+  let recorded = record(1500, 11, options);
+  record(700, 2, {});
+  assert.deepEqual(run(1500, 11, recorded.events, options), recorded.state);
+  run(1300, 8, [], {shotType:"laser"});
+  assert.deepEqual(run(1500, 11, recorded.events, options), recorded.state);
+});
+
+test("replays with CSS the game wouldn't take are turned away", () => {
+  /**
+  * Make a replay where the player wrote some CSS after each of the first rounds
+  * @param {list} css what the player wrote
+  * @returns {object} the replay
+  */
+  function replayWriting(css) {
+    return {version:REPLAY_VERSION, seed:1, renderer:"dom", difficulty:"normal",
+      extraInvulnTime:0, shotType:"spread",
+      events:css.map((text, i) => ({tick:(i + 1) * 1000, css:text}))};
+  }
+  validateReplay(replayWriting(["#enemy {width: 150%; height: 150%;}",
+    ".enemy-bullet {width: 200%; height: 200%;} #enemy {width: 200%; height: 200%;}"]));
+  assert.throws(() => validateReplay(replayWriting(["#enemy {width: 150%; height: 150%;}",
+    "body {display: none;}"])), /event 1 has CSS the game wouldn't take/);
+  assert.throws(() => validateReplay(replayWriting(["#enemy {width: 150%; height: 150%;}",
+    "#enemy {width: 200%; height: 200%;}", ".player-bullet {width: 300%; height: 300%;}"])),
+  /event 2 has CSS that's over the budget/);
+  assert.throws(() => validateReplay(replayWriting(["#enemy {width: 300%; height: 300%;}"])),
+    /event 0 has CSS the game wouldn't take/);
+});
+
+test("replays with events that aren't keys, bonuses, rerolls or CSS are turned away", () => {
+  let replayWith = events => ({version:REPLAY_VERSION, seed:1, renderer:"dom",
+    difficulty:"normal", extraInvulnTime:0, shotType:"spread", events:events});
+  validateReplay(replayWith([{tick:0, keys:NO_KEYS}, {tick:5, bonus:1}]));
+  assert.throws(() => validateReplay(replayWith([{tick:0, keys:null}])), /event 0 is malformed/);
+  assert.throws(() => validateReplay(replayWith([{tick:0, keys:NO_KEYS}, {tick:3, keys:[]}])),
+    /event 1 is malformed/);
+});
+
+test("a replay picking a bonus that isn't on offer stops instead of waiting forever", () => {
+  playToFirstBreak([{tick:0, keys:NO_KEYS}, {tick:0, bonus:2}], ["fireRate"]);
+  assert.ok(choosingBonus);
+  assert.throws(playReplayBonus, /couldn't finish the replay: it picks bonus 2 of 1/);
+  assert.ok(!choosingBonus);
+  assert.equal(roundState, ROUND_STATE.break);
+});
+
+test("a replay rerolling more times than it can stops", () => {
+  let rerolls = [1, 2, 3, 4].map(i => ({tick:0, reroll:true}));
+  playToFirstBreak([{tick:0, keys:NO_KEYS}].concat(rerolls, [{tick:0, bonus:1}]));
+  assert.throws(playReplayBonus, /couldn't finish the replay: it rerolls with none left/);
+  assert.equal(playerStats.rerolls, 0);
+  assert.ok(!choosingBonus);
+});
@@ -0,0 +1,178 @@
+/*
+These check how rounds play out: encounters giving way to each other, rounds
+ending on the last enemy's defeat, and the style bonuses picked in between
+*/
+
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Point} from "../js/point.js";
+import {run, stepUntil} from "../headless.js";
+import {
+  ROUND_STATE, TIMESTEP, playerStats, enemyStats, roundState, choosingBonus, styleBonuses,
+  styleEffects, enemyType, player, enemy, powerItems, hitboxes, appliedStyles, selectBonus,
+  step, setView
+} from "../js/simulation.js";
+
+let calls = {};
+setView({
+  roundStarted:() => calls.roundStarted++,
+  roundEnded:choices => calls.roundEnded.push(choices),
+  roundCleared:clear => calls.cleared.push({score:playerStats.score, lives:playerStats.lives,
+    combo:playerStats.combo}),
+  encounterStarted:(number, count) => calls.encounters.push(number + "/" + count)
+});
+
+beforeEach(() => {
+  calls = {roundStarted:0, roundEnded:[], encounters:[], cleared:[]};
+});
+
+/**
+* Keep the player safe, and leave the enemy going down to the next hit
+*/
+function easyWin() {
+  enemyStats.health = Math.min(enemyStats.health, 0.1);
+  playerStats.invulnTimer = 1;
+}
+
+/**
+* Play until the current enemy is beaten
+* @returns {boolean} whether the enemy was beaten in time
+*/
+function defeatEnemy() {
+  let encounter = enemyStats.encounter;
+  let level = enemyStats.level;
+  return stepUntil(() => enemyStats.encounter !== encounter || enemyStats.level !== level,
+    3600, easyWin);
+}
+
+/**
+* Play through the rest of the round with only one style on offer at the end.
+* The others look finished while the choices are drawn, then go back to how
+* they were.
+* @param {string} name the style to offer
+* @returns {boolean} whether the round was finished in time
+*/
+function finishRoundOffering(name) {
+  let tiers = {};
+  for(let style in styleBonuses) {
+    tiers[style] = styleBonuses[style].tier;
+    if(style !== name) {
+      styleBonuses[style].tier = styleBonuses[style].tiers.length;
+    }
+  }
+  let finished = stepUntil(() => roundState === ROUND_STATE.break, 7200, easyWin);
+  for(let style in tiers) {
+    if(style !== name) {
+      styleBonuses[style].tier = tiers[style];
+    }
+  }
+  return finished;
+}
+
+test("beating the last enemy of a level ends the round", () => {
+  run(0, 3, [], {});
+  assert.equal(calls.roundStarted, 1);
+  assert.deepEqual(calls.encounters, ["1/1"]);
+  let lives = playerStats.lives;
+  let bombs = playerStats.bombs;
+  assert.ok(defeatEnemy());
+  assert.equal(roundState, ROUND_STATE.break);
+  assert.ok(choosingBonus);
+  assert.equal(calls.roundEnded.length, 1);
+  assert.equal(calls.roundEnded[0].length, 2);
+  assert.equal(enemyStats.level, 2);
+  assert.equal(playerStats.lives, lives + 1);
+  assert.equal(playerStats.bombs, bombs + 1);
+});
+
+test("nothing else lands in the step that ends the round", () => {
+  run(0, 3, [], {});
+  //close enough that the whole first volley hits at once
+  player.centerOn(enemy.getCenter().add(new Point(0, 12)));
+  enemyStats.health = 0.5;
+  step(TIMESTEP);
+  assert.equal(roundState, ROUND_STATE.break);
+  assert.equal(calls.cleared.length, 1);
+  assert.deepEqual(calls.cleared[0], {score:playerStats.score, lives:playerStats.lives,
+    combo:playerStats.combo});
+  assert.equal(powerItems.length, 0);
+});
+
+test("picking a bonus starts the next level's first encounter", () => {
+  run(0, 3, [], {});
+  assert.ok(defeatEnemy());
+  selectBonus(1);
+  assert.equal(roundState, ROUND_STATE.play);
+  assert.ok(!choosingBonus);
+  assert.equal(calls.roundStarted, 2);
+  assert.deepEqual(calls.encounters, ["1/1", "1/2"]);
+  assert.equal(enemyType.name, "Skirmisher");
+  assert.equal(enemy.sprite.src, "img/skirmisher.png");
+  assert.equal(enemyStats.health, enemyStats.maxHealth);
+});
+
+test("beating an enemy that isn't the last brings in the next one", () => {
+  run(0, 3, [], {});
+  assert.ok(defeatEnemy());
+  selectBonus(1);
+  assert.ok(defeatEnemy());
+  assert.equal(roundState, ROUND_STATE.play);
+  assert.equal(enemyStats.level, 2);
+  assert.equal(enemyStats.encounter, 1);
+  assert.equal(enemyType.name, "Drifter");
+  assert.equal(calls.roundEnded.length, 1);
+  assert.ok(defeatEnemy());
+  assert.equal(roundState, ROUND_STATE.break);
+  assert.equal(enemyStats.level, 3);
+  assert.equal(calls.roundEnded.length, 2);
+});
+
+test("selecting a bonus takes the next tier and changes what styles do", () => {
+  run(0, 3, [], {});
+  assert.equal(styleEffects.hitbox, 1);
+  assert.equal(player.radius, 2);
+  assert.ok(finishRoundOffering("playerHitboxShrink"));
+  assert.deepEqual(calls.roundEnded[0].map(choice => choice.name), ["playerHitboxShrink"]);
+  //there's only the one choice to pick
+  selectBonus(2);
+  assert.ok(choosingBonus);
+  selectBonus(1);
+  assert.equal(styleBonuses.playerHitboxShrink.tier, 1);
+  assert.equal(styleEffects.hitbox, 0.8);
+  //what gets drawn and what gets hit are the same size
+  assert.equal(player.radius, 1.6);
+  assert.equal(hitboxes()[0].radius, 1.6);
+  assert.ok(appliedStyles().some(style => style.description === ".player {--hitbox: 80%;}"));
+  assert.ok(finishRoundOffering("playerHitboxShrink"));
+  assert.equal(calls.roundEnded[1][0].tier, 2);
+  selectBonus(1);
+  assert.equal(styleBonuses.playerHitboxShrink.tier, 2);
+  assert.equal(styleEffects.hitbox, 0.6);
+  assert.equal(player.radius, 1.2);
+});
+
+test("effects from different styles add up or multiply together", () => {
+  run(0, 3, [], {});
+  assert.ok(finishRoundOffering("fireRate"));
+  selectBonus(1);
+  assert.ok(finishRoundOffering("spread"));
+  selectBonus(1);
+  assert.ok(finishRoundOffering("bulletRush"));
+  selectBonus(1);
+  assert.equal(styleEffects.shootInterval, 0.8);
+  assert.equal(styleEffects.enemyBulletSpeed, 1.3);
+  assert.equal(styleEffects.shotCount, 6);
+  assert.equal(styleEffects.hitbox, 1);
+});
+
+test("a fresh run takes every style back off", () => {
+  run(0, 3, [], {});
+  assert.ok(finishRoundOffering("playerHitboxShrink"));
+  selectBonus(1);
+  run(0, 3, [], {});
+  assert.equal(styleBonuses.playerHitboxShrink.tier, 0);
+  assert.equal(styleEffects.hitbox, 1);
+  assert.equal(player.radius, 2);
+  assert.deepEqual(appliedStyles(), []);
+  assert.equal(hitboxes().length, 2);
+});
@@ -0,0 +1,48 @@
+/*
+These check what the player's shots earn: points and power for the damage they
+do, and power lost on dying
+*/
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Point} from "../js/point.js";
+import {run, stepUntil} from "../headless.js";
+import {
+  SHOT_TYPES, playerStats, enemyStats, player, enemy, powerItems, powerLevel
+} from "../js/simulation.js";
+
+/**
+* Keep the player safe, right under the enemy
+*/
+function followEnemy() {
+  player.centerOn(new Point(enemy.getCenter().x, 400));
+  playerStats.invulnTimer = 1;
+}
+
+test("every shot type earns the same points for the damage it does", () => {
+  for(let name in SHOT_TYPES) {
+    run(0, 6, [], {shotType:name});
+    let maxHealth = enemyStats.maxHealth;
+    assert.ok(stepUntil(() => enemyStats.health < maxHealth, 1200, followEnemy), name);
+    let damage = maxHealth - enemyStats.health;
+    assert.equal(playerStats.score, Math.round(damage * 100), name);
+  }
+});
+
+test("power items drop for damage done, however many hits it took", () => {
+  run(0, 6, [], {shotType:"laser"});
+  let maxHealth = enemyStats.maxHealth;
+  assert.ok(stepUntil(() => powerItems.length > 0, 2400, followEnemy));
+  assert.ok(maxHealth - enemyStats.health >= 30);
+  assert.ok(maxHealth - enemyStats.health < 31);
+});
+
+test("dying costs a power level", () => {
+  run(0, 5, [], {});
+  playerStats.power = 12;
+  assert.equal(powerLevel(), 2);
+  let lives = playerStats.lives;
+  assert.ok(stepUntil(() => playerStats.lives < lives, 7200));
+  assert.equal(playerStats.power, 7);
+  assert.equal(powerLevel(), 1);
+});
@@ -0,0 +1,71 @@
+/*
+These check that saving and loading get by without local storage, and fall
+back when what's saved can't be used
+*/
+
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {loadJSON, saveJSON} from "../js/storage.js";
+import {loadBindings, saveBindings, defaultBindings, DEBUG_KEY} from "../js/bindings.js";
+
+let stored = {};
+let broken = false;
+globalThis.window = {
+  localStorage:{
+    getItem:key => {
+      if(broken) {
+        throw new Error("storage is disabled");
+      }
+      return stored.hasOwnProperty(key) ? stored[key] : null;
+    },
+    setItem:(key, value) => {
+      if(broken) {
+        throw new Error("storage is full");
+      }
+      stored[key] = value;
+    }
+  }
+};
+
+beforeEach(() => {
+  stored = {};
+  broken = false;
+});
+
+/**
+* Keep only lists of numbers
+* @param {*} saved what was saved
+* @returns {list} the list, or null if it isn't one
+*/
+function numbers(saved) {
+  return Array.isArray(saved) && saved.every(Number.isFinite) ? saved : null;
+}
+
+test("what's saved can be loaded back", () => {
+  saveJSON("list", [1, 2, 3]);
+  assert.deepEqual(loadJSON("list", numbers, []), [1, 2, 3]);
+});
+
+test("missing, corrupted or unusable saves fall back", () => {
+  assert.deepEqual(loadJSON("list", numbers, [0]), [0]);
+  stored.list = "[1, 2";
+  assert.deepEqual(loadJSON("list", numbers, [0]), [0]);
+  stored.list = "[\"one\"]";
+  assert.deepEqual(loadJSON("list", numbers, [0]), [0]);
+});
+
+test("storage that won't work doesn't stop the game", () => {
+  broken = true;
+  saveJSON("list", [1]);
+  assert.deepEqual(loadJSON("list", numbers, [0]), [0]);
+});
+
+test("bindings with the debug key in them aren't loaded", () => {
+  let bindings = defaultBindings();
+  bindings.bomb = ["KeyX", "KeyJ"];
+  saveBindings(bindings);
+  assert.deepEqual(loadBindings(), bindings);
+  bindings.bomb = ["KeyX", DEBUG_KEY];
+  saveBindings(bindings);
+  assert.deepEqual(loadBindings(), defaultBindings());
+});